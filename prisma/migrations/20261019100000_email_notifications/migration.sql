@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "locale" TEXT NOT NULL DEFAULT 'ru';
+
+-- CreateTable
+CREATE TABLE "EmailLog" (
+    "id" SERIAL NOT NULL,
+    "to" TEXT NOT NULL,
+    "template" TEXT NOT NULL,
+    "locale" TEXT NOT NULL DEFAULT 'ru',
+    "payload" JSONB NOT NULL,
+    "subject" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sentAt" TIMESTAMP(3),
+    "orderId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "EmailLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "EmailLog_status_nextAttemptAt_idx" ON "EmailLog"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "EmailLog_orderId_idx" ON "EmailLog"("orderId");
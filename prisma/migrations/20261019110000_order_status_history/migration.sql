@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "OrderStatusHistory" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "adminId" INTEGER,
+    "comment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderStatusHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderStatusHistory_orderId_idx" ON "OrderStatusHistory"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "OrderStatusHistory" ADD CONSTRAINT "OrderStatusHistory_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderStatusHistory" ADD CONSTRAINT "OrderStatusHistory_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: every existing order starts its timeline as "new"
+INSERT INTO "OrderStatusHistory" ("orderId", "fromStatus", "toStatus", "createdAt")
+SELECT "id", NULL, 'new', "createdAt" FROM "Order";
+
+-- Backfill: the current status of orders that already moved on (exact path is unknown)
+INSERT INTO "OrderStatusHistory" ("orderId", "fromStatus", "toStatus", "comment", "createdAt")
+SELECT "id", 'new', "status", 'Imported from existing order status', "updatedAt" FROM "Order" WHERE "status" <> 'new';
@@ -0,0 +1,52 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "salePrice" DOUBLE PRECISION,
+ADD COLUMN     "saleStartsAt" TIMESTAMP(3),
+ADD COLUMN     "saleEndsAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "PriceHistory" (
+    "id" SERIAL NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "salePrice" DOUBLE PRECISION,
+    "saleStartsAt" TIMESTAMP(3),
+    "saleEndsAt" TIMESTAMP(3),
+    "source" TEXT NOT NULL,
+    "adminId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PriceHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ScheduledPriceChange" (
+    "id" SERIAL NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "effectiveAt" TIMESTAMP(3) NOT NULL,
+    "appliedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "adminId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ScheduledPriceChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PriceHistory_productId_createdAt_idx" ON "PriceHistory"("productId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ScheduledPriceChange_productId_idx" ON "ScheduledPriceChange"("productId");
+
+-- CreateIndex
+CREATE INDEX "ScheduledPriceChange_appliedAt_effectiveAt_idx" ON "ScheduledPriceChange"("appliedAt", "effectiveAt");
+
+-- AddForeignKey
+ALTER TABLE "PriceHistory" ADD CONSTRAINT "PriceHistory_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScheduledPriceChange" ADD CONSTRAINT "ScheduledPriceChange_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: start every product's history with its current price
+INSERT INTO "PriceHistory" ("productId", "price", "source", "createdAt")
+SELECT "id", "price", 'initial', "createdAt" FROM "Product";
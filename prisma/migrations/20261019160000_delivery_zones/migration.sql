@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "deliveryZoneId" INTEGER,
+ADD COLUMN     "deliveryFee" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "DeliveryZone" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "cities" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "postalCodes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "fee" DOUBLE PRECISION NOT NULL,
+    "freeThreshold" DOUBLE PRECISION,
+    "estimatedDays" INTEGER NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DeliveryZone_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_deliveryZoneId_fkey" FOREIGN KEY ("deliveryZoneId") REFERENCES "DeliveryZone"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "pickupPointId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "PickupPoint" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "city" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "workingHours" TEXT,
+    "phone" TEXT,
+    "latitude" DOUBLE PRECISION,
+    "longitude" DOUBLE PRECISION,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PickupPoint_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PickupPointStock" (
+    "pickupPointId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PickupPointStock_pkey" PRIMARY KEY ("pickupPointId","productId")
+);
+
+-- CreateIndex
+CREATE INDEX "Order_pickupPointId_idx" ON "Order"("pickupPointId");
+
+-- CreateIndex
+CREATE INDEX "PickupPointStock_productId_idx" ON "PickupPointStock"("productId");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_pickupPointId_fkey" FOREIGN KEY ("pickupPointId") REFERENCES "PickupPoint"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PickupPointStock" ADD CONSTRAINT "PickupPointStock_pickupPointId_fkey" FOREIGN KEY ("pickupPointId") REFERENCES "PickupPoint"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PickupPointStock" ADD CONSTRAINT "PickupPointStock_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,126 @@
+-- CreateTable
+CREATE TABLE "Warehouse" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "address" TEXT,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "pickupPointId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Warehouse_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WarehouseStock" (
+    "warehouseId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WarehouseStock_pkey" PRIMARY KEY ("warehouseId","productId")
+);
+
+-- CreateTable
+CREATE TABLE "StockMovement" (
+    "id" SERIAL NOT NULL,
+    "warehouseId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "orderId" INTEGER,
+    "adminId" INTEGER,
+    "transferId" TEXT,
+    "comment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StockMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Warehouse_code_key" ON "Warehouse"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Warehouse_pickupPointId_key" ON "Warehouse"("pickupPointId");
+
+-- CreateIndex
+CREATE INDEX "WarehouseStock_productId_idx" ON "WarehouseStock"("productId");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_productId_createdAt_idx" ON "StockMovement"("productId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_warehouseId_productId_idx" ON "StockMovement"("warehouseId", "productId");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_orderId_idx" ON "StockMovement"("orderId");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_transferId_idx" ON "StockMovement"("transferId");
+
+-- AddForeignKey
+ALTER TABLE "Warehouse" ADD CONSTRAINT "Warehouse_pickupPointId_fkey" FOREIGN KEY ("pickupPointId") REFERENCES "PickupPoint"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WarehouseStock" ADD CONSTRAINT "WarehouseStock_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "Warehouse"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WarehouseStock" ADD CONSTRAINT "WarehouseStock_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "Warehouse"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Move existing stock into warehouses: one default warehouse, plus one per
+-- pickup point holding what the point had. The default warehouse gets the
+-- rest of Product.stock.
+INSERT INTO "Warehouse" ("code", "name", "isDefault", "updatedAt")
+VALUES ('MAIN', 'Основной склад', true, CURRENT_TIMESTAMP);
+
+INSERT INTO "Warehouse" ("code", "name", "address", "isActive", "pickupPointId", "updatedAt")
+SELECT 'PP-' || "id", "name", "address", "isActive", "id", CURRENT_TIMESTAMP
+FROM "PickupPoint";
+
+INSERT INTO "WarehouseStock" ("warehouseId", "productId", "quantity", "updatedAt")
+SELECT w."id", s."productId", s."quantity", CURRENT_TIMESTAMP
+FROM "PickupPointStock" s
+JOIN "Warehouse" w ON w."pickupPointId" = s."pickupPointId"
+WHERE s."quantity" > 0;
+
+INSERT INTO "WarehouseStock" ("warehouseId", "productId", "quantity", "updatedAt")
+SELECT w."id", p."id", GREATEST(p."stock" - COALESCE(s."quantity", 0), 0), CURRENT_TIMESTAMP
+FROM "Product" p
+CROSS JOIN "Warehouse" w
+LEFT JOIN (
+    SELECT "productId", SUM("quantity")::INTEGER AS "quantity"
+    FROM "PickupPointStock"
+    GROUP BY "productId"
+) s ON s."productId" = p."id"
+WHERE w."code" = 'MAIN' AND p."stock" - COALESCE(s."quantity", 0) > 0;
+
+INSERT INTO "StockMovement" ("warehouseId", "productId", "type", "quantity", "balanceAfter", "comment")
+SELECT "warehouseId", "productId", 'adjustment', "quantity", "quantity", 'Opening balance'
+FROM "WarehouseStock";
+
+UPDATE "Product" p
+SET "stock" = COALESCE((SELECT SUM("quantity") FROM "WarehouseStock" ws WHERE ws."productId" = p."id"), 0);
+
+-- DropForeignKey
+ALTER TABLE "PickupPointStock" DROP CONSTRAINT "PickupPointStock_pickupPointId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "PickupPointStock" DROP CONSTRAINT "PickupPointStock_productId_fkey";
+
+-- DropTable
+DROP TABLE "PickupPointStock";
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "OrderDocument" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "number" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DocumentCounter" (
+    "type" TEXT NOT NULL,
+    "year" INTEGER NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "DocumentCounter_pkey" PRIMARY KEY ("type","year")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderDocument_number_key" ON "OrderDocument"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderDocument_orderId_type_key" ON "OrderDocument"("orderId", "type");
+
+-- AddForeignKey
+ALTER TABLE "OrderDocument" ADD CONSTRAINT "OrderDocument_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
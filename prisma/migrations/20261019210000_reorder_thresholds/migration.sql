@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "reorderQuantity" INTEGER,
+ADD COLUMN     "reorderThreshold" INTEGER NOT NULL DEFAULT 10;
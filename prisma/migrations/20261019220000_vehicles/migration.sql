@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "Vehicle" (
+    "id" SERIAL NOT NULL,
+    "make" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "generation" TEXT NOT NULL DEFAULT '',
+    "engine" TEXT NOT NULL,
+    "fuelType" TEXT NOT NULL,
+    "yearFrom" INTEGER,
+    "yearTo" INTEGER,
+    "viscosities" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "apiClasses" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "aceaClasses" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "approvals" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "oilCapacity" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Vehicle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Vehicle_make_model_idx" ON "Vehicle"("make", "model");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Vehicle_make_model_generation_engine_key" ON "Vehicle"("make", "model", "generation", "engine");
@@ -0,0 +1,86 @@
+-- CreateTable
+CREATE TABLE "Attribute" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "unit" TEXT,
+    "isFilterable" BOOLEAN NOT NULL DEFAULT true,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Attribute_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ProductAttribute" (
+    "id" SERIAL NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "attributeId" INTEGER NOT NULL,
+    "valueText" TEXT,
+    "valueNumber" DOUBLE PRECISION,
+    "valueBoolean" BOOLEAN,
+
+    CONSTRAINT "ProductAttribute_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Attribute_code_key" ON "Attribute"("code");
+
+-- CreateIndex
+CREATE INDEX "ProductAttribute_productId_idx" ON "ProductAttribute"("productId");
+
+-- CreateIndex
+CREATE INDEX "ProductAttribute_attributeId_valueText_idx" ON "ProductAttribute"("attributeId", "valueText");
+
+-- CreateIndex
+CREATE INDEX "ProductAttribute_attributeId_valueNumber_idx" ON "ProductAttribute"("attributeId", "valueNumber");
+
+-- AddForeignKey
+ALTER TABLE "ProductAttribute" ADD CONSTRAINT "ProductAttribute_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProductAttribute" ADD CONSTRAINT "ProductAttribute_attributeId_fkey" FOREIGN KEY ("attributeId") REFERENCES "Attribute"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Attributes the catalogue already keeps in Product.characteristics
+INSERT INTO "Attribute" ("code", "name", "type", "unit", "position", "updatedAt") VALUES
+    ('sae', 'Вязкость SAE', 'string', NULL, 10, CURRENT_TIMESTAMP),
+    ('api', 'API', 'list', NULL, 20, CURRENT_TIMESTAMP),
+    ('acea', 'ACEA', 'list', NULL, 30, CURRENT_TIMESTAMP),
+    ('approvals', 'Допуски производителей', 'list', NULL, 40, CURRENT_TIMESTAMP),
+    ('viscosityIndex', 'Индекс вязкости', 'number', NULL, 50, CURRENT_TIMESTAMP),
+    ('flashPoint', 'Температура вспышки', 'number', '°C', 60, CURRENT_TIMESTAMP),
+    ('pourPoint', 'Температура застывания', 'number', '°C', 70, CURRENT_TIMESTAMP);
+
+-- Copy their values: lists are split on "/", ",", ";" and "|"
+INSERT INTO "ProductAttribute" ("productId", "attributeId", "valueText")
+SELECT DISTINCT p."id", a."id", btrim(v.value)
+FROM "Product" p
+JOIN "Attribute" a ON a."type" = 'list' AND jsonb_typeof(p."characteristics" -> a."code") = 'string'
+CROSS JOIN LATERAL regexp_split_to_table(p."characteristics" ->> a."code", '[/,;|]') AS v(value)
+WHERE btrim(v.value) <> '';
+
+INSERT INTO "ProductAttribute" ("productId", "attributeId", "valueText")
+SELECT DISTINCT p."id", a."id", btrim(v.value)
+FROM "Product" p
+JOIN "Attribute" a ON a."type" = 'list' AND jsonb_typeof(p."characteristics" -> a."code") = 'array'
+CROSS JOIN LATERAL jsonb_array_elements_text(p."characteristics" -> a."code") AS v(value)
+WHERE btrim(v.value) <> '';
+
+INSERT INTO "ProductAttribute" ("productId", "attributeId", "valueText")
+SELECT p."id", a."id", btrim(p."characteristics" ->> a."code")
+FROM "Product" p
+JOIN "Attribute" a ON a."type" = 'string'
+WHERE btrim(p."characteristics" ->> a."code") <> '';
+
+-- Numbers may carry their unit ("230°C")
+INSERT INTO "ProductAttribute" ("productId", "attributeId", "valueNumber")
+SELECT t."productId", t."attributeId", replace(t."number", ',', '.')::DOUBLE PRECISION
+FROM (
+    SELECT p."id" AS "productId", a."id" AS "attributeId",
+           substring(p."characteristics" ->> a."code" from '-?[0-9]+(?:[.,][0-9]+)?') AS "number"
+    FROM "Product" p
+    JOIN "Attribute" a ON a."type" = 'number'
+) t
+WHERE t."number" IS NOT NULL;
@@ -0,0 +1,18 @@
+-- CreateIndex
+CREATE INDEX "Product_brand_idx" ON "Product"("brand");
+
+-- CreateIndex
+CREATE INDEX "Product_type_idx" ON "Product"("type");
+
+-- CreateIndex
+CREATE INDEX "Product_viscosity_idx" ON "Product"("viscosity");
+
+-- CreateIndex
+CREATE INDEX "Product_application_idx" ON "Product"("application");
+
+-- CreateIndex
+CREATE INDEX "Product_volume_ml_idx" ON "Product"("volume_ml");
+
+-- CreateIndex
+CREATE INDEX "Product_price_idx" ON "Product"("price");
+
@@ -0,0 +1,27 @@
+-- Trigram similarity for typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- AlterTable
+-- Brand, SKU and names are also indexed unstemmed ('simple'), with
+-- viscosities made compact ("5W-40" → "5w40") so they match as one word.
+-- Names and descriptions go through both the Russian and English configs.
+ALTER TABLE "Product" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('simple',
+    coalesce("brand", '') || ' ' || coalesce("sku", '') || ' ' ||
+    regexp_replace(coalesce("name", '') || ' ' || coalesce("viscosity", ''),
+      '(\d{1,2})\s*[wW]\s*-?\s*(\d{1,3})', '\1w\2', 'g')), 'A') ||
+  setweight(to_tsvector('russian', coalesce("name", '')), 'A') ||
+  setweight(to_tsvector('english', coalesce("name", '')), 'A') ||
+  setweight(to_tsvector('russian', coalesce("type", '') || ' ' || coalesce("application", '')), 'C') ||
+  setweight(to_tsvector('russian', coalesce("description", '')), 'D') ||
+  setweight(to_tsvector('english', coalesce("description", '')), 'D')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Product_searchVector_idx" ON "Product" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Product_name_trgm_idx" ON "Product" USING GIN ("name" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Product_brand_trgm_idx" ON "Product" USING GIN ("brand" gin_trgm_ops);
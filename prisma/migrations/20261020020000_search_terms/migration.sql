@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "SearchTerm" (
+    "id" SERIAL NOT NULL,
+    "normalized" TEXT NOT NULL,
+    "query" TEXT NOT NULL,
+    "searches" INTEGER NOT NULL DEFAULT 0,
+    "zeroResults" INTEGER NOT NULL DEFAULT 0,
+    "lastResults" INTEGER NOT NULL DEFAULT 0,
+    "lastSearchedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SearchTerm_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SearchTerm_normalized_key" ON "SearchTerm"("normalized");
+
+-- CreateIndex
+CREATE INDEX "SearchTerm_normalized_trgm_idx" ON "SearchTerm" USING GIN ("normalized" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "SearchTerm_searches_idx" ON "SearchTerm"("searches");
+
+-- CreateIndex
+CREATE INDEX "SearchTerm_lastSearchedAt_idx" ON "SearchTerm"("lastSearchedAt");
@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE "StockMovement" DROP CONSTRAINT "StockMovement_productId_fkey";
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -1,5 +1,11 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const { receiveStock } = require('../src/services/inventory');
+const {
+  loadAttributeDefinitions,
+  parseAttributeInput,
+  saveProductAttributes,
+} = require('../src/services/attributes');
 
 const prisma = new PrismaClient();
 
@@ -205,12 +211,32 @@ async function main() {
     },
   ];
 
-  // Create products
-  for (const product of sampleProducts) {
-    await prisma.product.upsert({
-      where: { sku: product.sku },
-      update: {},
-      create: product,
+  const warehouse = await prisma.warehouse.upsert({
+    where: { code: 'MAIN' },
+    update: {},
+    create: {
+      code: 'MAIN',
+      name: 'Основной склад',
+      isDefault: true,
+    },
+  });
+  console.log('Default warehouse created');
+
+  // Create products; stock arrives as a receipt so the ledger matches.
+  // Characteristics that have an attribute definition become typed values.
+  const definitions = await loadAttributeDefinitions(prisma);
+  for (const { stock, ...product } of sampleProducts) {
+    const existing = await prisma.product.findUnique({ where: { sku: product.sku } });
+    if (existing) continue;
+
+    await prisma.$transaction(async (tx) => {
+      const created = await tx.product.create({ data: product });
+      await saveProductAttributes(tx, created.id, parseAttributeInput(definitions, product), definitions);
+      await receiveStock(tx, {
+        warehouseId: warehouse.id,
+        items: [{ productId: created.id, quantity: stock }],
+        comment: 'Seed',
+      });
     });
   }
   console.log(`${sampleProducts.length} sample products created`);
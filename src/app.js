@@ -7,7 +7,23 @@ const session = require('express-session');
 const productsRouter = require('./routes/products');
 const ordersRouter = require('./routes/orders');
 const adminRouter = require('./routes/admin');
+const adminUsersRouter = require('./routes/adminUsers');
+const adminPromoCodesRouter = require('./routes/adminPromoCodes');
+const adminDeliveryZonesRouter = require('./routes/adminDeliveryZones');
+const adminPickupPointsRouter = require('./routes/adminPickupPoints');
+const adminInventoryRouter = require('./routes/adminInventory');
+const adminProductImportRouter = require('./routes/adminProductImport');
+const adminOrderExportRouter = require('./routes/adminOrderExport');
+const adminAnalyticsRouter = require('./routes/adminAnalytics');
+const adminVehiclesRouter = require('./routes/adminVehicles');
+const adminAttributesRouter = require('./routes/adminAttributes');
+const adminSearchTermsRouter = require('./routes/adminSearchTerms');
 const authRouter = require('./routes/auth');
+const cartRouter = require('./routes/cart');
+const deliveryRouter = require('./routes/delivery');
+const pickupPointsRouter = require('./routes/pickupPoints');
+const paymentsRouter = require('./routes/payments');
+const vehiclesRouter = require('./routes/vehicles');
 
 const app = express();
 
@@ -57,7 +73,7 @@ app.use(cors({
   origin: '*', 
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'Idempotency-Key'],
   exposedHeaders: ['Set-Cookie']
 }));
 
@@ -72,7 +88,15 @@ const apiLimiter = rateLimit({
 });
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 app.use(session({
@@ -91,8 +115,24 @@ app.use('/api/', apiLimiter);
 // API Routes
 app.use('/api/products', productsRouter);
 app.use('/api/orders', ordersRouter);
+app.use('/api/admin/users', adminUsersRouter);
+app.use('/api/admin/promo-codes', adminPromoCodesRouter);
+app.use('/api/admin/delivery-zones', adminDeliveryZonesRouter);
+app.use('/api/admin/pickup-points', adminPickupPointsRouter);
+app.use('/api/admin/inventory', adminInventoryRouter);
+app.use('/api/admin/products', adminProductImportRouter);
+app.use('/api/admin/orders', adminOrderExportRouter);
+app.use('/api/admin/analytics', adminAnalyticsRouter);
+app.use('/api/admin/vehicles', adminVehiclesRouter);
+app.use('/api/admin/attributes', adminAttributesRouter);
+app.use('/api/admin/search-terms', adminSearchTermsRouter);
 app.use('/api/admin', adminRouter);
 app.use('/api/auth', authRouter);
+app.use('/api/cart', cartRouter);
+app.use('/api/delivery', deliveryRouter);
+app.use('/api/pickup-points', pickupPointsRouter);
+app.use('/api/payments', paymentsRouter);
+app.use('/api/vehicles', vehiclesRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,138 @@
+const prisma = require('../db');
+const { verifyAccessToken } = require('../services/authTokens');
+
+// Права, доступные каждой роли администратора
+const ROLE_PERMISSIONS = {
+  admin: [
+    'stats:view',
+    'products:view',
+    'products:edit',
+    'products:delete',
+    'inventory:manage',
+    'orders:view',
+    'orders:edit',
+    'promos:manage',
+    'delivery:manage',
+    'admins:manage',
+  ],
+  manager: [
+    'stats:view',
+    'products:view',
+    'products:edit',
+    'inventory:manage',
+    'orders:view',
+    'orders:edit',
+  ],
+};
+
+function hasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes(permission);
+}
+
+// Checks the admin session set by POST /api/admin/login.
+// Role and active flag are re-read from the database so that a deactivated
+// or demoted admin loses access without waiting for the session to expire.
+async function requireAdmin(req, res, next) {
+  try {
+    const adminId = req.session && req.session.adminId;
+    if (!adminId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const admin = await prisma.admin.findUnique({
+      where: { id: adminId },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        role: true,
+        isActive: true,
+      },
+    });
+
+    if (!admin || !admin.isActive) {
+      delete req.session.adminId;
+      delete req.session.adminRole;
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.session.adminRole = admin.role;
+    req.admin = admin;
+    next();
+  } catch (err) {
+    console.error('Admin auth error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Must be used after requireAdmin
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.admin || !hasPermission(req.admin.role, permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+// Resolves the customer from an "Authorization: Bearer <accessToken>" header.
+// Returns null when there is no header, throws on an invalid token.
+async function resolveUser(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  const payload = verifyAccessToken(token);
+  return prisma.user.findUnique({
+    where: { id: parseInt(payload.sub) },
+    select: {
+      id: true,
+      email: true,
+      phone: true,
+      name: true,
+    },
+  });
+}
+
+async function requireUser(req, res, next) {
+  try {
+    const user = await resolveUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    console.error('User auth error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Same as requireUser, but lets guests through with req.user = null
+async function optionalUser(req, res, next) {
+  try {
+    req.user = await resolveUser(req);
+    next();
+  } catch (err) {
+    if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    console.error('User auth error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requireAdmin,
+  requirePermission,
+  requireUser,
+  optionalUser,
+};
@@ -0,0 +1,21 @@
+const multer = require('multer');
+
+// Spreadsheets are parsed in memory, nothing is written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// Single CSV/XLSX file in the multipart field "file"
+function uploadSpreadsheet(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+}
+
+module.exports = {
+  uploadSpreadsheet,
+};
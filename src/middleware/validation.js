@@ -23,35 +23,101 @@ const productValidation = (req, res, next) => {
   next();
 };
 
-const orderValidation = (req, res, next) => {
-  const itemSchema = Joi.object({
-    productId: Joi.number().integer().positive().required(),
-    quantity: Joi.number().integer().positive().required(),
-  });
+// Product as created or updated by admins, also used for bulk import
+const productSchema = Joi.object({
+  sku: Joi.string().optional(),
+  name: Joi.string().required().min(2).max(200),
+  description: Joi.string().optional().allow(''),
+  brand: Joi.string().required().min(1).max(100),
+  type: Joi.string().valid('synthetic', 'semi-synthetic', 'mineral', 'other').required(),
+  viscosity: Joi.string().required().min(2).max(20),
+  volume_ml: Joi.number().integer().positive().required(),
+  application: Joi.string().valid('petrol', 'diesel', 'universal', 'commercial').required(),
+  price: Joi.number().positive().required(),
+  salePrice: Joi.number().positive().less(Joi.ref('price')).optional().allow(null),
+  saleStartsAt: Joi.date().optional().allow(null),
+  saleEndsAt: Joi.when('saleStartsAt', {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref('saleStartsAt')),
+    otherwise: Joi.date(),
+  }).optional().allow(null),
+  // Initial stock of a new product; afterwards stock changes go through /api/admin/inventory
+  stock: Joi.number().integer().min(0).default(0),
+  reorderThreshold: Joi.number().integer().min(0).optional(),
+  reorderQuantity: Joi.number().integer().positive().optional().allow(null),
+  images: Joi.array().items(Joi.string().uri()).optional(),
+  characteristics: Joi.object().optional(),
+  // { code: value } of typed attributes, checked against their definitions
+  attributes: Joi.object().pattern(
+    Joi.string(),
+    Joi.alternatives().try(
+      Joi.number(),
+      Joi.boolean(),
+      Joi.string().allow(''),
+      Joi.array().items(Joi.string()),
+    ).allow(null),
+  ).optional(),
+});
 
-  const schema = Joi.object({
-    contactName: Joi.string().min(2).max(100).required(),
-    phone: Joi.string().pattern(/^[\+]?[0-9]{10,15}$/).required(),
-    email: Joi.string().email().optional().allow(''),
-    deliveryMethod: Joi.string().valid('pickup', 'delivery').default('pickup'),
-    deliveryAddress: Joi.object({
-      city: Joi.string().required(),
-      street: Joi.string().required(),
-      house: Joi.string().required(),
-      apartment: Joi.string().optional(),
-      comment: Joi.string().optional(),
-    }).when('deliveryMethod', {
-      is: 'delivery',
-      then: Joi.required(),
-      otherwise: Joi.optional(),
-    }),
-    paymentMethod: Joi.string().valid('card', 'cash', 'upon_receipt').default('card'),
-    items: Joi.array().items(itemSchema).min(1).required(),
-    userId: Joi.number().integer().positive().optional(),
-    notes: Joi.string().optional().allow(''),
-  });
+// Vehicle in the oil selection catalogue, also used for CSV import
+const vehicleSchema = Joi.object({
+  make: Joi.string().trim().min(1).max(100).required(),
+  model: Joi.string().trim().min(1).max(100).required(),
+  generation: Joi.string().trim().max(100).allow('').default(''),
+  engine: Joi.string().trim().min(1).max(100).required(),
+  fuelType: Joi.string().valid('petrol', 'diesel', 'hybrid', 'gas').required(),
+  yearFrom: Joi.number().integer().min(1950).max(2100).optional().allow(null),
+  yearTo: Joi.when('yearFrom', {
+    is: Joi.number().required(),
+    then: Joi.number().integer().min(Joi.ref('yearFrom')).max(2100),
+    otherwise: Joi.number().integer().min(1950).max(2100),
+  }).optional().allow(null),
+  viscosities: Joi.array().items(Joi.string().trim().max(20)).default([]),
+  apiClasses: Joi.array().items(Joi.string().trim().max(20)).default([]),
+  aceaClasses: Joi.array().items(Joi.string().trim().max(20)).default([]),
+  approvals: Joi.array().items(Joi.string().trim().max(50)).default([]),
+  oilCapacity: Joi.number().positive().max(100).optional().allow(null),
+});
 
-  const { error } = schema.validate(req.body);
+const orderItemSchema = Joi.object({
+  productId: Joi.number().integer().positive().required(),
+  quantity: Joi.number().integer().positive().required(),
+});
+
+// Contact, delivery and payment details of an order
+const orderDetailsSchema = Joi.object({
+  contactName: Joi.string().min(2).max(100).required(),
+  phone: Joi.string().pattern(/^[\+]?[0-9]{10,15}$/).required(),
+  email: Joi.string().email().optional().allow(''),
+  deliveryMethod: Joi.string().valid('pickup', 'delivery').default('pickup'),
+  deliveryAddress: Joi.object({
+    city: Joi.string().required(),
+    postalCode: Joi.string().pattern(/^[0-9]{6}$/).optional().allow(''),
+    street: Joi.string().required(),
+    house: Joi.string().required(),
+    apartment: Joi.string().optional().allow(''),
+    comment: Joi.string().optional().allow(''),
+  }).when('deliveryMethod', {
+    is: 'delivery',
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+  pickupPointId: Joi.number().integer().positive().when('deliveryMethod', {
+    is: 'pickup',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  paymentMethod: Joi.string().valid('card', 'cash', 'upon_receipt').default('card'),
+  promoCode: Joi.string().trim().max(50).optional().allow(''),
+  notes: Joi.string().optional().allow(''),
+});
+
+const orderSchema = orderDetailsSchema.keys({
+  items: Joi.array().items(orderItemSchema).min(1).required(),
+});
+
+const orderValidation = (req, res, next) => {
+  const { error } = orderSchema.validate(req.body);
   if (error) {
     return res.status(400).json({ error: error.details[0].message });
   }
@@ -60,5 +126,9 @@ const orderValidation = (req, res, next) => {
 
 module.exports = {
   productValidation,
+  productSchema,
+  vehicleSchema,
   orderValidation,
+  orderDetailsSchema,
+  orderSchema,
 };
\ No newline at end of file
@@ -3,10 +3,26 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const prisma = require('../db');
 const Joi = require('joi');
-
-function requireAdmin(req, res, next) {
-  next(); // Просто пропускаем всех
-}
+const { requireAdmin, requirePermission, ROLE_PERMISSIONS } = require('../middleware/auth');
+const { notifyOrderStatusChanged } = require('../services/notifications');
+const { ORDER_STATUSES, changeOrderStatus } = require('../services/orderStatus');
+const { ServiceError } = require('../services/errors');
+const { productSchema } = require('../middleware/validation');
+const { createReturn } = require('../services/returns');
+const { withPricing, recordPriceHistory, priceChanged } = require('../services/pricing');
+const { getDefaultWarehouse, receiveStock } = require('../services/inventory');
+const { refundPayment } = require('../services/payments');
+const { DOCUMENT_TYPES, sendOrderDocument } = require('../services/documents');
+const { buildProductWhere } = require('../services/productSpreadsheets');
+const { buildOrderWhere } = require('../services/orderExport');
+const { lowStockWhere } = require('../services/lowStock');
+const {
+  loadAttributeDefinitions,
+  parseAttributeInput,
+  assertValidAttributes,
+  saveProductAttributes,
+  formatAttributes,
+} = require('../services/attributes');
 
 // Validation schemas
 const adminLoginSchema = Joi.object({
@@ -14,19 +30,31 @@ const adminLoginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
-const productSchema = Joi.object({
-  sku: Joi.string().optional(),
-  name: Joi.string().required().min(2).max(200),
-  description: Joi.string().optional().allow(''),
-  brand: Joi.string().required().min(1).max(100),
-  type: Joi.string().valid('synthetic', 'semi-synthetic', 'mineral', 'other').required(),
-  viscosity: Joi.string().required().min(2).max(20),
-  volume_ml: Joi.number().integer().positive().required(),
-  application: Joi.string().valid('petrol', 'diesel', 'universal', 'commercial').required(),
+const priceChangeSchema = Joi.object({
   price: Joi.number().positive().required(),
-  stock: Joi.number().integer().min(0).required(),
-  images: Joi.array().items(Joi.string().uri()).optional(),
-  characteristics: Joi.object().optional(),
+  effectiveAt: Joi.date().greater('now').required(),
+});
+
+const orderUpdateSchema = Joi.object({
+  status: Joi.string().valid(...ORDER_STATUSES).optional(),
+  trackingNumber: Joi.string().max(100).optional(),
+  notes: Joi.string().optional().allow('', null),
+  comment: Joi.string().max(1000).optional().allow(''),
+});
+
+const paymentRefundSchema = Joi.object({
+  amount: Joi.number().positive().optional(),
+  reason: Joi.string().max(1000).optional().allow(''),
+});
+
+const orderReturnSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    orderItemId: Joi.number().integer().positive().required(),
+    quantity: Joi.number().integer().positive().required(),
+  })).min(1).unique('orderItemId').required(),
+  refundAmount: Joi.number().min(0).optional(),
+  reason: Joi.string().max(1000).optional().allow(''),
+  idempotencyKey: Joi.string().max(100).optional(),
 });
 
 // Initialize admin user if not exists
@@ -108,19 +136,16 @@ router.post('/logout', requireAdmin, (req, res) => {
 });
 
 // Check admin status
-// Измените роут /status:
-router.get('/status', (req, res) => {
-  console.log('🔍 Проверка сессии админа:', req.session.adminId);
-  
-  if (req.session.adminId) {
-    res.json({ authenticated: true });
-  } else {
-    res.status(401).json({ authenticated: false });
-  }
+router.get('/status', requireAdmin, (req, res) => {
+  res.json({
+    authenticated: true,
+    admin: req.admin,
+    permissions: ROLE_PERMISSIONS[req.admin.role] || [],
+  });
 });
 
 // Get admin dashboard stats
-router.get('/stats', requireAdmin, async (req, res) => {
+router.get('/stats', requireAdmin, requirePermission('stats:view'), async (req, res) => {
   try {
     const [
       totalProducts,
@@ -132,10 +157,11 @@ router.get('/stats', requireAdmin, async (req, res) => {
       prisma.product.count(),
       prisma.order.count(),
       prisma.order.aggregate({
+        where: { status: { not: 'cancelled' } },
         _sum: { totalAmount: true },
       }),
       prisma.product.count({
-        where: { stock: { lt: 10 } },
+        where: lowStockWhere(),
       }),
       prisma.order.findMany({
         take: 5,
@@ -170,32 +196,20 @@ router.get('/stats', requireAdmin, async (req, res) => {
 // PRODUCTS CRUD
 
 // Get all products with pagination and filters
-router.get('/products', requireAdmin, async (req, res) => {
+router.get('/products', requireAdmin, requirePermission('products:view'), async (req, res) => {
   try {
     const {
       page = 1,
       limit = 20,
       sortBy = 'createdAt',
       sortOrder = 'desc',
-      search = '',
-      brand,
-      type,
     } = req.query;
 
     const pageInt = parseInt(page);
     const limitInt = parseInt(limit);
     const skip = (pageInt - 1) * limitInt;
 
-    const where = {};
-    if (search) {
-      where.OR = [
-        { name: { contains: search, mode: 'insensitive' } },
-        { sku: { contains: search, mode: 'insensitive' } },
-        { brand: { contains: search, mode: 'insensitive' } },
-      ];
-    }
-    if (brand) where.brand = brand;
-    if (type) where.type = type;
+    const where = buildProductWhere(req.query);
 
     const [products, total] = await Promise.all([
       prisma.product.findMany({
@@ -208,7 +222,7 @@ router.get('/products', requireAdmin, async (req, res) => {
     ]);
 
     res.json({
-      data: products,
+      data: products.map(product => withPricing(product)),
       meta: {
         page: pageInt,
         limit: limitInt,
@@ -223,18 +237,21 @@ router.get('/products', requireAdmin, async (req, res) => {
 });
 
 // Get single product
-router.get('/products/:id', requireAdmin, async (req, res) => {
+router.get('/products/:id', requireAdmin, requirePermission('products:view'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const product = await prisma.product.findUnique({
       where: { id },
+      include: {
+        attributes: { include: { attribute: true } },
+      },
     });
 
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    res.json(product);
+    res.json({ ...withPricing(product), attributes: formatAttributes(product.attributes) });
   } catch (err) {
     console.error('Get product error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -242,7 +259,7 @@ router.get('/products/:id', requireAdmin, async (req, res) => {
 });
 
 // Create product
-router.post('/products', requireAdmin, async (req, res) => {
+router.post('/products', requireAdmin, requirePermission('products:edit'), async (req, res) => {
   try {
     const { error, value } = productSchema.validate(req.body);
     if (error) {
@@ -252,16 +269,40 @@ router.post('/products', requireAdmin, async (req, res) => {
     // Generate SKU if not provided
     const sku = value.sku || `OIL-${value.brand.substring(0, 3).toUpperCase()}-${Date.now().toString().slice(-6)}`;
 
-    const product = await prisma.product.create({
-      data: {
-        ...value,
-        sku,
-      },
+    const { stock, attributes, ...data } = value;
+    const definitions = await loadAttributeDefinitions(prisma);
+    const parsedAttributes = parseAttributeInput(definitions, value);
+    assertValidAttributes(parsedAttributes);
+
+    const product = await prisma.$transaction(async (tx) => {
+      const created = await tx.product.create({
+        data: {
+          ...data,
+          sku,
+        },
+      });
+      await recordPriceHistory(tx, created, { source: 'manual', adminId: req.admin.id });
+      await saveProductAttributes(tx, created.id, parsedAttributes, definitions);
+
+      if (stock > 0) {
+        const warehouse = await getDefaultWarehouse(tx);
+        await receiveStock(tx, {
+          warehouseId: warehouse.id,
+          items: [{ productId: created.id, quantity: stock }],
+          adminId: req.admin.id,
+          comment: 'Initial stock',
+        });
+      }
+
+      return tx.product.findUnique({ where: { id: created.id } });
     });
 
-    res.status(201).json(product);
+    res.status(201).json(withPricing(product));
   } catch (err) {
     console.error('Create product error:', err);
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     if (err.code === 'P2002') {
       return res.status(409).json({ error: 'SKU already exists' });
     }
@@ -270,7 +311,7 @@ router.post('/products', requireAdmin, async (req, res) => {
 });
 
 // Update product
-router.put('/products/:id', requireAdmin, async (req, res) => {
+router.put('/products/:id', requireAdmin, requirePermission('products:edit'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const { error, value } = productSchema.validate(req.body);
@@ -278,14 +319,30 @@ router.put('/products/:id', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const product = await prisma.product.update({
-      where: { id },
-      data: value,
+    // Stock is derived from the warehouse ledger and can't be overwritten here
+    const { stock, attributes, ...data } = value;
+    const definitions = await loadAttributeDefinitions(prisma);
+    const parsedAttributes = parseAttributeInput(definitions, value);
+    assertValidAttributes(parsedAttributes);
+
+    const product = await prisma.$transaction(async (tx) => {
+      const before = await tx.product.findUniqueOrThrow({ where: { id } });
+      const updated = await tx.product.update({
+        where: { id },
+        data,
+      });
+      if (priceChanged(before, updated)) {
+        await recordPriceHistory(tx, updated, { source: 'manual', adminId: req.admin.id });
+      }
+      return saveProductAttributes(tx, id, parsedAttributes, definitions);
     });
 
-    res.json(product);
+    res.json(withPricing(product));
   } catch (err) {
     console.error('Update product error:', err);
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     if (err.code === 'P2025') {
       return res.status(404).json({ error: 'Product not found' });
     }
@@ -294,7 +351,7 @@ router.put('/products/:id', requireAdmin, async (req, res) => {
 });
 
 // Delete product
-router.delete('/products/:id', requireAdmin, async (req, res) => {
+router.delete('/products/:id', requireAdmin, requirePermission('products:delete'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -310,6 +367,18 @@ router.delete('/products/:id', requireAdmin, async (req, res) => {
       });
     }
 
+    // The stock ledger is append-only: a product that was ever in stock stays
+    const stockMovements = await prisma.stockMovement.count({
+      where: { productId: id },
+    });
+
+    if (stockMovements > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete product that has stock movements',
+        stockMovements,
+      });
+    }
+
     await prisma.product.delete({
       where: { id },
     });
@@ -320,6 +389,91 @@ router.delete('/products/:id', requireAdmin, async (req, res) => {
     if (err.code === 'P2025') {
       return res.status(404).json({ error: 'Product not found' });
     }
+    // Stock received or an order placed meanwhile
+    if (err.code === 'P2003') {
+      return res.status(400).json({ error: 'Cannot delete product that has orders or stock movements' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Price history of a product
+router.get('/products/:id/price-history', requireAdmin, requirePermission('products:view'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const history = await prisma.priceHistory.findMany({
+      where: { productId },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json(history);
+  } catch (err) {
+    console.error('Get price history error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Scheduled price changes of a product
+router.get('/products/:id/price-changes', requireAdmin, requirePermission('products:view'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const changes = await prisma.scheduledPriceChange.findMany({
+      where: { productId },
+      orderBy: { effectiveAt: 'desc' },
+    });
+
+    res.json(changes);
+  } catch (err) {
+    console.error('Get price changes error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Schedule a price change; the price scheduler applies it at effectiveAt
+router.post('/products/:id/price-changes', requireAdmin, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const { error, value } = priceChangeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const change = await prisma.scheduledPriceChange.create({
+      data: {
+        ...value,
+        productId,
+        adminId: req.admin.id,
+      },
+    });
+
+    res.status(201).json(change);
+  } catch (err) {
+    console.error('Schedule price change error:', err);
+    if (err.code === 'P2003') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel a pending price change
+router.delete('/products/:id/price-changes/:changeId', requireAdmin, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const changeId = parseInt(req.params.changeId);
+
+    const { count } = await prisma.scheduledPriceChange.updateMany({
+      where: { id: changeId, productId, appliedAt: null, cancelledAt: null },
+      data: { cancelledAt: new Date() },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Pending price change not found' });
+    }
+
+    res.json({ message: 'Price change cancelled' });
+  } catch (err) {
+    console.error('Cancel price change error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -327,7 +481,7 @@ router.delete('/products/:id', requireAdmin, async (req, res) => {
 // ORDERS MANAGEMENT
 
 // Get all orders with filters
-router.get('/orders', requireAdmin, async (req, res) => {
+router.get('/orders', requireAdmin, requirePermission('orders:view'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -336,28 +490,15 @@ router.get('/orders', requireAdmin, async (req, res) => {
       startDate,
       endDate,
       search,
+      pickupPointId,
+      paymentStatus,
     } = req.query;
 
     const pageInt = parseInt(page);
     const limitInt = parseInt(limit);
     const skip = (pageInt - 1) * limitInt;
 
-    const where = {};
-    if (status) where.status = status;
-    if (startDate || endDate) {
-      where.createdAt = {};
-      if (startDate) where.createdAt.gte = new Date(startDate);
-      if (endDate) where.createdAt.lte = new Date(endDate);
-    }
-    if (search) {
-      where.OR = [
-        { orderNumber: { contains: search, mode: 'insensitive' } },
-        { contactName: { contains: search, mode: 'insensitive' } },
-        { phone: { contains: search, mode: 'insensitive' } },
-        { email: { contains: search, mode: 'insensitive' } },
-        { trackingNumber: { contains: search, mode: 'insensitive' } },
-      ];
-    }
+    const where = buildOrderWhere({ status, startDate, endDate, search, pickupPointId, paymentStatus });
 
     const [orders, total] = await Promise.all([
       prisma.order.findMany({
@@ -385,6 +526,12 @@ router.get('/orders', requireAdmin, async (req, res) => {
               name: true,
             },
           },
+          pickupPoint: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
         },
       }),
       prisma.order.count({ where }),
@@ -406,7 +553,7 @@ router.get('/orders', requireAdmin, async (req, res) => {
 });
 
 // Get single order
-router.get('/orders/:id', requireAdmin, async (req, res) => {
+router.get('/orders/:id', requireAdmin, requirePermission('orders:view'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const order = await prisma.order.findUnique({
@@ -434,6 +581,26 @@ router.get('/orders/:id', requireAdmin, async (req, res) => {
             phone: true,
           },
         },
+        statusHistory: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            admin: {
+              select: {
+                id: true,
+                username: true,
+              },
+            },
+          },
+        },
+        returns: {
+          orderBy: { createdAt: 'asc' },
+          include: { items: true },
+        },
+        pickupPoint: true,
+        payments: {
+          orderBy: { createdAt: 'asc' },
+          include: { refunds: true },
+        },
       },
     });
 
@@ -449,26 +616,41 @@ router.get('/orders/:id', requireAdmin, async (req, res) => {
 });
 
 // Update order status and tracking
-router.put('/orders/:id', requireAdmin, async (req, res) => {
+router.put('/orders/:id', requireAdmin, requirePermission('orders:edit'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const { status, trackingNumber, notes } = req.body;
+    const { error, value } = orderUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { status, comment, ...fields } = value;
 
-    // Validate status
-    const validStatuses = ['new', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (status && !validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    const existingOrder = await prisma.order.findUnique({
+      where: { id },
+      select: { status: true },
+    });
+    if (!existingOrder) {
+      return res.status(404).json({ error: 'Order not found' });
     }
 
-    const updateData = {};
-    if (status) updateData.status = status;
-    if (trackingNumber) updateData.trackingNumber = trackingNumber;
-    if (notes !== undefined) updateData.notes = notes;
-    updateData.updatedAt = new Date();
+    const statusChanged = status && status !== existingOrder.status;
 
-    const order = await prisma.order.update({
+    if (statusChanged) {
+      await changeOrderStatus(id, status, {
+        adminId: req.admin.id,
+        comment,
+        data: fields,
+      });
+    } else {
+      await prisma.order.update({
+        where: { id },
+        data: fields,
+      });
+    }
+
+    const order = await prisma.order.findUnique({
       where: { id },
-      data: updateData,
       include: {
         user: {
           select: {
@@ -479,15 +661,148 @@ router.put('/orders/:id', requireAdmin, async (req, res) => {
       },
     });
 
-    // TODO: Send email notification if status changed to shipped/delivered
-    // sendOrderStatusEmail(order);
+    if (statusChanged) {
+      notifyOrderStatusChanged(order)
+        .catch(err => console.error('Order notification error:', err));
+    }
 
     res.json(order);
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     console.error('Update order error:', err);
     if (err.code === 'P2025') {
       return res.status(404).json({ error: 'Order not found' });
     }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Tracking number already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Return part of an order to stock and record the refund.
+// Send the same Idempotency-Key header (or idempotencyKey field) to retry safely.
+// The header wins; sending both with different values is rejected.
+router.post('/orders/:id/returns', requireAdmin, requirePermission('orders:edit'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const headerKey = req.get('Idempotency-Key');
+    if (headerKey !== undefined && req.body.idempotencyKey !== undefined
+      && headerKey !== req.body.idempotencyKey) {
+      return res.status(400).json({ error: 'Idempotency-Key header does not match idempotencyKey' });
+    }
+
+    const { error, value } = orderReturnSchema.validate({
+      ...req.body,
+      idempotencyKey: headerKey ?? req.body.idempotencyKey,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { orderReturn, created } = await createReturn(id, {
+      ...value,
+      adminId: req.admin.id,
+    });
+
+    res.status(created ? 201 : 200).json(orderReturn);
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Create return error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// NOTIFICATIONS
+
+// Refund a card payment through the payment provider. Without `amount`
+// everything not refunded yet is returned.
+router.post('/orders/:id/payment/refund', requireAdmin, requirePermission('orders:edit'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { error, value } = paymentRefundSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const refund = await refundPayment(id, {
+      amount: value.amount,
+      reason: value.reason || null,
+      adminId: req.admin.id,
+    });
+
+    res.status(201).json(refund);
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Payment refund error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Invoice or receipt PDF of an order
+router.get('/orders/:id/:documentType', requireAdmin, requirePermission('orders:view'), async (req, res, next) => {
+  if (!DOCUMENT_TYPES.includes(req.params.documentType)) {
+    return next();
+  }
+
+  try {
+    await sendOrderDocument(res, parseInt(req.params.id), req.params.documentType);
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Order document error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Email send log
+router.get('/email-log', requireAdmin, requirePermission('orders:view'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      status,
+      template,
+      orderId,
+    } = req.query;
+
+    const pageInt = parseInt(page);
+    const limitInt = parseInt(limit);
+    const skip = (pageInt - 1) * limitInt;
+
+    const where = {};
+    if (status) where.status = status;
+    if (template) where.template = template;
+    if (orderId) where.orderId = parseInt(orderId);
+
+    const [emails, total] = await Promise.all([
+      prisma.emailLog.findMany({
+        where,
+        skip,
+        take: limitInt,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.emailLog.count({ where }),
+    ]);
+
+    res.json({
+      data: emails,
+      meta: {
+        page: pageInt,
+        limit: limitInt,
+        total,
+        pages: Math.ceil(total / limitInt),
+      },
+    });
+  } catch (err) {
+    console.error('Get email log error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const {
+  PERIODS,
+  PRODUCT_DIMENSIONS,
+  ORDER_DIMENSIONS,
+  resolveRange,
+  getSalesSummary,
+  getTopProducts,
+  getTopBrands,
+  getSalesBreakdown,
+  getConversion,
+} = require('../services/analytics');
+
+// Validation schemas
+const rangeSchema = Joi.object({
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().iso().min(Joi.ref('startDate')),
+    otherwise: Joi.date().iso(),
+  }).optional(),
+});
+
+const salesSchema = rangeSchema.keys({
+  groupBy: Joi.string().valid(...PERIODS).default('day'),
+});
+
+const topSchema = rangeSchema.keys({
+  sortBy: Joi.string().valid('revenue', 'units').default('revenue'),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+});
+
+const breakdownSchema = rangeSchema.keys({
+  by: Joi.string().valid(...PRODUCT_DIMENSIONS).default('viscosity'),
+});
+
+const conversionSchema = rangeSchema.keys({
+  by: Joi.string().valid(...ORDER_DIMENSIONS).default('deliveryMethod'),
+});
+
+router.use(requireAdmin, requirePermission('stats:view'));
+
+// Validates the query string and sends the report with its date range
+function analyticsRoute(schema, label, build) {
+  return async (req, res) => {
+    try {
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { startDate, endDate, ...options } = value;
+      const range = resolveRange({ startDate, endDate });
+      const data = await build({ ...options, range });
+      res.json({ range, ...options, data });
+    } catch (err) {
+      console.error(`${label} error:`, err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+}
+
+// Revenue, order count and average order value by day, week or month
+router.get('/sales', analyticsRoute(salesSchema, 'Sales analytics', getSalesSummary));
+
+// Top products and brands by revenue or units
+router.get('/top-products', analyticsRoute(topSchema, 'Top products', getTopProducts));
+router.get('/top-brands', analyticsRoute(topSchema, 'Top brands', getTopBrands));
+
+// Sales split by viscosity, type or application
+router.get('/breakdown', analyticsRoute(breakdownSchema, 'Sales breakdown', getSalesBreakdown));
+
+// Completion and cancellation rates by delivery or payment method
+router.get('/conversion', analyticsRoute(conversionSchema, 'Conversion analytics', getConversion));
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+const Joi = require('joi');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { ATTRIBUTE_TYPES, RESERVED_CODES } = require('../services/attributes');
+
+// Validation schemas
+const attributeSchema = Joi.object({
+  code: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/).max(50).invalid(...RESERVED_CODES).required()
+    .messages({ 'any.invalid': '"code" is a reserved product filter name' }),
+  name: Joi.string().min(1).max(100).required(),
+  type: Joi.string().valid(...ATTRIBUTE_TYPES).required(),
+  unit: Joi.string().max(20).optional().allow('', null),
+  isFilterable: Joi.boolean().default(true),
+  position: Joi.number().integer().default(0),
+});
+
+router.use(requireAdmin);
+
+// List attribute definitions with how many products use each
+router.get('/', requirePermission('products:view'), async (req, res) => {
+  try {
+    const attributes = await prisma.attribute.findMany({
+      orderBy: [{ position: 'asc' }, { id: 'asc' }],
+    });
+    // List attributes have a row per value, so count distinct products
+    const usage = await prisma.$queryRaw`
+      SELECT "attributeId", COUNT(DISTINCT "productId")::int AS "products"
+      FROM "ProductAttribute"
+      GROUP BY "attributeId"
+    `;
+
+    res.json(attributes.map(attribute => {
+      const used = usage.find(row => row.attributeId === attribute.id);
+      return { ...attribute, products: used ? used.products : 0 };
+    }));
+  } catch (err) {
+    console.error('Get attributes error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create attribute
+router.post('/', requirePermission('products:edit'), async (req, res) => {
+  try {
+    const { error, value } = attributeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const attribute = await prisma.attribute.create({
+      data: value,
+    });
+
+    res.status(201).json(attribute);
+  } catch (err) {
+    console.error('Create attribute error:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Attribute code already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update attribute. Code and type are fixed once products have values.
+router.put('/:id', requirePermission('products:edit'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { error, value } = attributeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const existing = await prisma.attribute.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Attribute not found' });
+    }
+    if (value.code !== existing.code || value.type !== existing.type) {
+      const used = await prisma.productAttribute.count({ where: { attributeId: id } });
+      if (used > 0) {
+        return res.status(409).json({ error: 'Cannot change code or type of an attribute products use' });
+      }
+    }
+
+    const attribute = await prisma.attribute.update({
+      where: { id },
+      data: value,
+    });
+
+    res.json(attribute);
+  } catch (err) {
+    console.error('Update attribute error:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Attribute code already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete attribute with its values, also from the products' characteristics
+router.delete('/:id', requirePermission('products:edit'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    await prisma.$transaction(async (tx) => {
+      const attribute = await tx.attribute.delete({ where: { id } });
+      await tx.$executeRaw`
+        UPDATE "Product"
+        SET "characteristics" = "characteristics" - ${attribute.code}::text
+        WHERE "characteristics" -> ${attribute.code}::text IS NOT NULL
+      `;
+    });
+
+    res.json({ message: 'Attribute deleted successfully' });
+  } catch (err) {
+    console.error('Delete attribute error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Attribute not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+const Joi = require('joi');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+
+// Validation schemas
+const deliveryZoneSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  cities: Joi.array().items(Joi.string().trim().min(1).max(100)).unique().default([]),
+  postalCodes: Joi.array().items(Joi.string().pattern(/^[0-9]{1,6}\*?$/)).unique().default([]),
+  fee: Joi.number().min(0).required(),
+  freeThreshold: Joi.number().positive().optional().allow(null),
+  estimatedDays: Joi.number().integer().min(0).max(90).required(),
+  isActive: Joi.boolean().default(true),
+});
+
+function hasArea(zone) {
+  return zone.cities.length > 0 || zone.postalCodes.length > 0;
+}
+
+router.use(requireAdmin, requirePermission('delivery:manage'));
+
+// List delivery zones
+router.get('/', async (req, res) => {
+  try {
+    const zones = await prisma.deliveryZone.findMany({
+      orderBy: { name: 'asc' },
+      include: {
+        _count: { select: { orders: true } },
+      },
+    });
+
+    res.json(zones);
+  } catch (err) {
+    console.error('Get delivery zones error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create delivery zone
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = deliveryZoneSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    if (!hasArea(value)) {
+      return res.status(400).json({ error: 'Zone must list at least one city or postal code' });
+    }
+
+    const zone = await prisma.deliveryZone.create({
+      data: value,
+    });
+
+    res.status(201).json(zone);
+  } catch (err) {
+    console.error('Create delivery zone error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update delivery zone
+router.put('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { error, value } = deliveryZoneSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    if (!hasArea(value)) {
+      return res.status(400).json({ error: 'Zone must list at least one city or postal code' });
+    }
+
+    const zone = await prisma.deliveryZone.update({
+      where: { id },
+      data: value,
+    });
+
+    res.json(zone);
+  } catch (err) {
+    console.error('Update delivery zone error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Delivery zone not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete delivery zone (orders keep their fee, the link is cleared)
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    await prisma.deliveryZone.delete({
+      where: { id },
+    });
+
+    res.json({ message: 'Delivery zone deleted successfully' });
+  } catch (err) {
+    console.error('Delete delivery zone error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Delivery zone not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,380 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+const Joi = require('joi');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const {
+  MOVEMENT_TYPES,
+  receiveStock,
+  countStock,
+  transferStock,
+  rebuildStock,
+} = require('../services/inventory');
+const { SALES_WINDOW_DAYS, getLowStockReport } = require('../services/lowStock');
+
+// Validation schemas
+const warehouseSchema = Joi.object({
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).max(30).required(),
+  name: Joi.string().min(2).max(100).required(),
+  address: Joi.string().max(300).optional().allow('', null),
+  isDefault: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true),
+  pickupPointId: Joi.number().integer().positive().optional().allow(null),
+});
+
+const stockItemsSchema = (min) => Joi.array().items(Joi.object({
+  productId: Joi.number().integer().positive().required(),
+  quantity: Joi.number().integer().min(min).required(),
+})).min(1).unique('productId').required();
+
+const receiptSchema = Joi.object({
+  items: stockItemsSchema(1),
+  comment: Joi.string().max(1000).optional().allow(''),
+});
+
+const countSchema = Joi.object({
+  items: stockItemsSchema(0),
+  comment: Joi.string().max(1000).optional().allow(''),
+});
+
+const transferSchema = Joi.object({
+  fromWarehouseId: Joi.number().integer().positive().required(),
+  toWarehouseId: Joi.number().integer().positive().invalid(Joi.ref('fromWarehouseId')).required()
+    .messages({ 'any.invalid': '"toWarehouseId" must differ from "fromWarehouseId"' }),
+  items: stockItemsSchema(1),
+  comment: Joi.string().max(1000).optional().allow(''),
+});
+
+async function findMissingProducts(items) {
+  const productIds = items.map(item => item.productId);
+  const products = await prisma.product.findMany({
+    where: { id: { in: productIds } },
+    select: { id: true },
+  });
+  return productIds.filter(id => !products.some(p => p.id === id));
+}
+
+// Only one warehouse can be the default
+async function saveWarehouse(id, value) {
+  return prisma.$transaction(async (tx) => {
+    if (value.isDefault) {
+      await tx.warehouse.updateMany({
+        where: { isDefault: true, ...(id && { id: { not: id } }) },
+        data: { isDefault: false },
+      });
+    }
+    return id
+      ? tx.warehouse.update({ where: { id }, data: value })
+      : tx.warehouse.create({ data: value });
+  });
+}
+
+router.use(requireAdmin);
+
+// List warehouses
+router.get('/warehouses', requirePermission('products:view'), async (req, res) => {
+  try {
+    const warehouses = await prisma.warehouse.findMany({
+      orderBy: [{ isDefault: 'desc' }, { name: 'asc' }],
+      include: {
+        pickupPoint: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+    });
+
+    res.json(warehouses);
+  } catch (err) {
+    console.error('Get warehouses error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create warehouse
+router.post('/warehouses', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { error, value } = warehouseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const warehouse = await saveWarehouse(null, value);
+    res.status(201).json(warehouse);
+  } catch (err) {
+    console.error('Create warehouse error:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Warehouse code or pickup point is already in use' });
+    }
+    if (err.code === 'P2003') {
+      return res.status(400).json({ error: 'Pickup point not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update warehouse
+router.put('/warehouses/:id', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { error, value } = warehouseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const warehouse = await saveWarehouse(id, value);
+    res.json(warehouse);
+  } catch (err) {
+    console.error('Update warehouse error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Warehouse code or pickup point is already in use' });
+    }
+    if (err.code === 'P2003') {
+      return res.status(400).json({ error: 'Pickup point not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Stock levels in a warehouse
+router.get('/warehouses/:id/stock', requirePermission('products:view'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const stock = await prisma.warehouseStock.findMany({
+      where: { warehouseId: id },
+      orderBy: { productId: 'asc' },
+      include: {
+        product: {
+          select: {
+            id: true,
+            name: true,
+            sku: true,
+            stock: true,
+          },
+        },
+      },
+    });
+
+    res.json(stock);
+  } catch (err) {
+    console.error('Get warehouse stock error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Post a goods receipt
+router.post('/warehouses/:id/receipts', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const warehouseId = parseInt(req.params.id);
+    const { error, value } = receiptSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const warehouse = await prisma.warehouse.findUnique({ where: { id: warehouseId } });
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    const missing = await findMissingProducts(value.items);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Some products not found', productIds: missing });
+    }
+
+    const movements = await prisma.$transaction(tx => receiveStock(tx, {
+      warehouseId,
+      items: value.items,
+      adminId: req.admin.id,
+      comment: value.comment || null,
+    }));
+
+    res.status(201).json({ movements });
+  } catch (err) {
+    console.error('Stock receipt error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Post an inventory count: counted quantities replace the current ones
+router.post('/warehouses/:id/counts', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const warehouseId = parseInt(req.params.id);
+    const { error, value } = countSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const warehouse = await prisma.warehouse.findUnique({ where: { id: warehouseId } });
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    const missing = await findMissingProducts(value.items);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Some products not found', productIds: missing });
+    }
+
+    const movements = await prisma.$transaction(tx => countStock(tx, {
+      warehouseId,
+      items: value.items,
+      adminId: req.admin.id,
+      comment: value.comment || 'Inventory count',
+    }));
+
+    res.status(201).json({ movements });
+  } catch (err) {
+    console.error('Stock count error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Move goods between warehouses
+router.post('/transfers', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { error, value } = transferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const warehouses = await prisma.warehouse.count({
+      where: { id: { in: [value.fromWarehouseId, value.toWarehouseId] } },
+    });
+    if (warehouses < 2) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    const missing = await findMissingProducts(value.items);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Some products not found', productIds: missing });
+    }
+
+    const transfer = await prisma.$transaction(tx => transferStock(tx, {
+      ...value,
+      adminId: req.admin.id,
+      comment: value.comment || null,
+    }));
+
+    res.status(201).json(transfer);
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Stock transfer error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Stock movements ledger
+router.get('/movements', requirePermission('products:view'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      productId,
+      warehouseId,
+      orderId,
+      type,
+      startDate,
+      endDate,
+    } = req.query;
+
+    const pageInt = parseInt(page);
+    const limitInt = parseInt(limit);
+    const skip = (pageInt - 1) * limitInt;
+
+    const where = {};
+    if (productId) where.productId = parseInt(productId);
+    if (warehouseId) where.warehouseId = parseInt(warehouseId);
+    if (orderId) where.orderId = parseInt(orderId);
+    if (type && MOVEMENT_TYPES.includes(type)) where.type = type;
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    const [movements, total] = await Promise.all([
+      prisma.stockMovement.findMany({
+        where,
+        skip,
+        take: limitInt,
+        orderBy: { id: 'desc' },
+        include: {
+          product: {
+            select: {
+              id: true,
+              name: true,
+              sku: true,
+            },
+          },
+          warehouse: {
+            select: {
+              id: true,
+              code: true,
+              name: true,
+            },
+          },
+          admin: {
+            select: {
+              id: true,
+              username: true,
+            },
+          },
+        },
+      }),
+      prisma.stockMovement.count({ where }),
+    ]);
+
+    res.json({
+      data: movements,
+      meta: {
+        page: pageInt,
+        limit: limitInt,
+        total,
+        pages: Math.ceil(total / limitInt),
+      },
+    });
+  } catch (err) {
+    console.error('Get stock movements error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Products below their reorder threshold with recent sales velocity
+// (?days, default 30) and a suggested reorder amount
+router.get('/low-stock', requirePermission('products:view'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || SALES_WINDOW_DAYS;
+    if (days < 1 || days > 365) {
+      return res.status(400).json({ error: 'days must be between 1 and 365' });
+    }
+
+    const products = await getLowStockReport({ days });
+    res.json({
+      data: products,
+      meta: {
+        days,
+        total: products.length,
+      },
+    });
+  } catch (err) {
+    console.error('Low stock report error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Recompute warehouse stock and Product.stock from the ledger
+router.post('/rebuild', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const result = await prisma.$transaction(tx => rebuildStock(tx));
+    res.json({ message: 'Stock rebuilt from movements', corrected: result });
+  } catch (err) {
+    console.error('Stock rebuild error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
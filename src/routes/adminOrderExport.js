@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const {
+  buildOrderWhere,
+  exportOrders,
+  getAccountingReport,
+  exportAccountingReport,
+} = require('../services/orderExport');
+
+function sendExportError(res, err, label) {
+  console.error(`${label} error:`, err);
+  if (res.headersSent) {
+    return res.destroy(err);
+  }
+  if (err instanceof ServiceError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  res.status(500).json({ error: 'Server error' });
+}
+
+// Export orders as CSV/XLSX, one row per order, with the admin order list filters
+router.get('/export', requireAdmin, requirePermission('orders:view'), async (req, res) => {
+  try {
+    const { format = 'csv', ...filters } = req.query;
+    await exportOrders(res, { format, where: buildOrderWhere(filters) });
+  } catch (err) {
+    sendExportError(res, err, 'Order export');
+  }
+});
+
+// Same filters, one row per order line
+router.get('/export/lines', requireAdmin, requirePermission('orders:view'), async (req, res) => {
+  try {
+    const { format = 'csv', ...filters } = req.query;
+    await exportOrders(res, { format, where: buildOrderWhere(filters), lines: true });
+  } catch (err) {
+    sendExportError(res, err, 'Order lines export');
+  }
+});
+
+// Sales totals per day or month (?groupBy=day|month). JSON by default,
+// ?format=csv|xlsx downloads it as a spreadsheet.
+router.get('/report', requireAdmin, requirePermission('orders:view'), async (req, res) => {
+  try {
+    const { format, groupBy, ...filters } = req.query;
+    const report = await getAccountingReport({ where: buildOrderWhere(filters), groupBy });
+
+    if (!format) {
+      return res.json(report);
+    }
+    await exportAccountingReport(res, { format, report });
+  } catch (err) {
+    sendExportError(res, err, 'Order report');
+  }
+});
+
+module.exports = router;
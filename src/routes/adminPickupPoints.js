@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+const Joi = require('joi');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+
+// Validation schemas
+const pickupPointSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  city: Joi.string().min(2).max(100).required(),
+  address: Joi.string().min(5).max(300).required(),
+  workingHours: Joi.string().max(200).optional().allow('', null),
+  phone: Joi.string().pattern(/^[\+]?[0-9]{10,15}$/).optional().allow('', null),
+  latitude: Joi.number().min(-90).max(90).optional().allow(null),
+  longitude: Joi.number().min(-180).max(180).optional().allow(null),
+  isActive: Joi.boolean().default(true),
+});
+
+router.use(requireAdmin);
+
+// List pickup points
+router.get('/', requirePermission('orders:view'), async (req, res) => {
+  try {
+    const points = await prisma.pickupPoint.findMany({
+      orderBy: [{ city: 'asc' }, { name: 'asc' }],
+      include: {
+        warehouse: {
+          select: {
+            id: true,
+            code: true,
+          },
+        },
+        _count: { select: { orders: true } },
+      },
+    });
+
+    res.json(points);
+  } catch (err) {
+    console.error('Get pickup points error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create pickup point. Pickup orders only take stock from the point's own
+// warehouse, so it is created together with the point.
+router.post('/', requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    const { error, value } = pickupPointSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const point = await prisma.$transaction(async (tx) => {
+      const created = await tx.pickupPoint.create({
+        data: value,
+      });
+      const warehouse = await tx.warehouse.create({
+        data: {
+          code: `PP-${created.id}`,
+          name: created.name,
+          address: created.address,
+          isActive: created.isActive,
+          pickupPointId: created.id,
+        },
+      });
+      return { ...created, warehouse: { id: warehouse.id, code: warehouse.code } };
+    });
+
+    res.status(201).json(point);
+  } catch (err) {
+    console.error('Create pickup point error:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Warehouse code is already in use' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update pickup point
+router.put('/:id', requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { error, value } = pickupPointSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const point = await prisma.pickupPoint.update({
+      where: { id },
+      data: value,
+    });
+
+    res.json(point);
+  } catch (err) {
+    console.error('Update pickup point error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Pickup point not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete pickup point (points with orders can only be deactivated)
+router.delete('/:id', requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const orders = await prisma.order.count({
+      where: { pickupPointId: id },
+    });
+
+    if (orders > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete pickup point that has orders, deactivate it instead',
+        orders,
+      });
+    }
+
+    await prisma.pickupPoint.delete({
+      where: { id },
+    });
+
+    res.json({ message: 'Pickup point deleted successfully' });
+  } catch (err) {
+    console.error('Delete pickup point error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Pickup point not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { ServiceError } = require('../services/errors');
+const { parseSpreadsheet } = require('../services/spreadsheets');
+const {
+  importProducts,
+  buildProductWhere,
+  exportProducts,
+} = require('../services/productSpreadsheets');
+
+// Import products from CSV/XLSX (multipart field "file"), upserting by sku.
+// With ?dryRun=true only the validation report is returned.
+router.post('/import', requireAdmin, requirePermission('products:edit'), uploadSpreadsheet, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const rows = await parseSpreadsheet(req.file);
+    const report = await importProducts(rows, {
+      dryRun: req.query.dryRun === 'true',
+      adminId: req.admin.id,
+    });
+
+    const status = !report.dryRun && !report.imported ? 400 : 200;
+    res.status(status).json(report);
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Product import error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Export the catalogue as CSV/XLSX with the admin product list filters
+router.get('/export', requireAdmin, requirePermission('products:view'), async (req, res) => {
+  try {
+    const { format = 'csv', ...filters } = req.query;
+    await exportProducts(res, { format, where: buildProductWhere(filters) });
+  } catch (err) {
+    console.error('Product export error:', err);
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
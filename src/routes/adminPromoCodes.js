@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+const Joi = require('joi');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { PROMO_TYPES, normalizePromoCode } = require('../services/promo');
+
+// Validation schemas
+const promoCodeSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).min(3).max(50).required(),
+  description: Joi.string().max(500).optional().allow('', null),
+  type: Joi.string().valid(...PROMO_TYPES).required(),
+  value: Joi.when('type', {
+    switch: [
+      { is: 'free_delivery', then: Joi.number().valid(0).default(0) },
+      { is: 'fixed', then: Joi.number().positive().required() },
+    ],
+    otherwise: Joi.number().positive().max(100).required(),
+  }),
+  brand: Joi.when('type', {
+    is: 'brand',
+    then: Joi.string().min(1).max(100).required(),
+    otherwise: Joi.valid(null).default(null),
+  }),
+  minOrderAmount: Joi.number().min(0).optional().allow(null),
+  startsAt: Joi.date().optional().allow(null),
+  endsAt: Joi.when('startsAt', {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref('startsAt')),
+    otherwise: Joi.date(),
+  }).optional().allow(null),
+  usageLimit: Joi.number().integer().positive().optional().allow(null),
+  perCustomerLimit: Joi.number().integer().positive().optional().allow(null),
+  isActive: Joi.boolean().default(true),
+});
+
+router.use(requireAdmin, requirePermission('promos:manage'));
+
+// List promo codes
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      isActive,
+    } = req.query;
+
+    const pageInt = parseInt(page);
+    const limitInt = parseInt(limit);
+    const skip = (pageInt - 1) * limitInt;
+
+    const where = {};
+    if (search) where.code = { contains: search, mode: 'insensitive' };
+    if (isActive === 'true') where.isActive = true;
+    if (isActive === 'false') where.isActive = false;
+
+    const [promoCodes, total] = await Promise.all([
+      prisma.promoCode.findMany({
+        where,
+        skip,
+        take: limitInt,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.promoCode.count({ where }),
+    ]);
+
+    res.json({
+      data: promoCodes,
+      meta: {
+        page: pageInt,
+        limit: limitInt,
+        total,
+        pages: Math.ceil(total / limitInt),
+      },
+    });
+  } catch (err) {
+    console.error('Get promo codes error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get promo code with its redemptions
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const promoCode = await prisma.promoCode.findUnique({
+      where: { id },
+      include: {
+        redemptions: {
+          orderBy: { createdAt: 'desc' },
+          take: 100,
+          include: {
+            order: {
+              select: {
+                id: true,
+                orderNumber: true,
+                totalAmount: true,
+                status: true,
+              },
+            },
+          },
+        },
+      },
+    });
+
+    if (!promoCode) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    res.json(promoCode);
+  } catch (err) {
+    console.error('Get promo code error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create promo code
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = promoCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const promoCode = await prisma.promoCode.create({
+      data: {
+        ...value,
+        code: normalizePromoCode(value.code),
+      },
+    });
+
+    res.status(201).json(promoCode);
+  } catch (err) {
+    console.error('Create promo code error:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Promo code already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update promo code
+router.put('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { error, value } = promoCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const promoCode = await prisma.promoCode.update({
+      where: { id },
+      data: {
+        ...value,
+        code: normalizePromoCode(value.code),
+      },
+    });
+
+    res.json(promoCode);
+  } catch (err) {
+    console.error('Update promo code error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Promo code already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete promo code (used codes can only be deactivated)
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const redemptions = await prisma.promoRedemption.count({
+      where: { promoCodeId: id },
+    });
+
+    if (redemptions > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete promo code that was used in orders, deactivate it instead',
+        redemptions,
+      });
+    }
+
+    await prisma.promoCode.delete({
+      where: { id },
+    });
+
+    res.json({ message: 'Promo code deleted successfully' });
+  } catch (err) {
+    console.error('Delete promo code error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+const Joi = require('joi');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+
+// Validation schemas
+const listSchema = Joi.object({
+  zeroResults: Joi.boolean().optional(),
+  since: Joi.date().iso().optional(),
+  search: Joi.string().max(200).optional().allow(''),
+  sortBy: Joi.string().valid('searches', 'zeroResults', 'lastSearchedAt').default('searches'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+router.use(requireAdmin, requirePermission('stats:view'));
+
+// What customers search for. zeroResults=true lists queries whose last
+// search found nothing; since= only counts queries searched after a date.
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { zeroResults, since, search, sortBy, page, limit } = value;
+    const where = {};
+    if (zeroResults === true) where.lastResults = 0;
+    if (zeroResults === false) where.lastResults = { gt: 0 };
+    if (since) where.lastSearchedAt = { gte: since };
+    if (search) where.normalized = { contains: search.toLowerCase() };
+
+    const [terms, total] = await Promise.all([
+      prisma.searchTerm.findMany({
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: [{ [sortBy]: 'desc' }, { id: 'desc' }],
+      }),
+      prisma.searchTerm.count({ where }),
+    ]);
+
+    res.json({
+      data: terms,
+      meta: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    console.error('Get search terms error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
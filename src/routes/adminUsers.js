@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../db');
+const Joi = require('joi');
+const { requireAdmin, requirePermission, ROLE_PERMISSIONS } = require('../middleware/auth');
+
+const adminSelect = {
+  id: true,
+  username: true,
+  email: true,
+  role: true,
+  isActive: true,
+  lastLogin: true,
+  createdAt: true,
+};
+
+// Validation schemas
+const roles = Object.keys(ROLE_PERMISSIONS);
+
+const createAdminSchema = Joi.object({
+  username: Joi.string().alphanum().min(3).max(50).required(),
+  email: Joi.string().email().required(),
+  password: Joi.string().min(8).max(128).required(),
+  role: Joi.string().valid(...roles).default('manager'),
+});
+
+const updateAdminSchema = Joi.object({
+  email: Joi.string().email().optional(),
+  role: Joi.string().valid(...roles).optional(),
+  isActive: Joi.boolean().optional(),
+}).min(1);
+
+const resetPasswordSchema = Joi.object({
+  password: Joi.string().min(8).max(128).required(),
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(8).max(128).invalid(Joi.ref('currentPassword')).required()
+    .messages({ 'any.invalid': '"newPassword" must differ from the current password' }),
+});
+
+// Change own password (any admin role)
+router.put('/me/password', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const admin = await prisma.admin.findUnique({ where: { id: req.admin.id } });
+    const validPassword = await bcrypt.compare(value.currentPassword, admin.password);
+    if (!validPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const hashedPassword = await bcrypt.hash(value.newPassword, 10);
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: { password: hashedPassword },
+    });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Everything below manages other admins
+router.use(requireAdmin, requirePermission('admins:manage'));
+
+// List admins
+router.get('/', async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+
+    const where = {};
+    if (role) where.role = role;
+    if (isActive === 'true') where.isActive = true;
+    if (isActive === 'false') where.isActive = false;
+
+    const admins = await prisma.admin.findMany({
+      where,
+      select: adminSelect,
+      orderBy: { createdAt: 'asc' },
+    });
+
+    res.json(admins);
+  } catch (err) {
+    console.error('Get admins error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create admin
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createAdminSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const hashedPassword = await bcrypt.hash(value.password, 10);
+    const admin = await prisma.admin.create({
+      data: {
+        ...value,
+        password: hashedPassword,
+      },
+      select: adminSelect,
+    });
+
+    res.status(201).json(admin);
+  } catch (err) {
+    console.error('Create admin error:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Username or email already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update role / email, deactivate or reactivate
+router.put('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { error, value } = updateAdminSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Serializable so two concurrent demotions can't both see "another admin left"
+    const result = await prisma.$transaction(async (tx) => {
+      const admin = await tx.admin.findUnique({ where: { id } });
+      if (!admin) {
+        return { status: 404, body: { error: 'Admin not found' } };
+      }
+
+      const losesAdminRights = admin.role === 'admin' && admin.isActive && (
+        (value.role && value.role !== 'admin') || value.isActive === false
+      );
+
+      if (losesAdminRights) {
+        const otherActiveAdmins = await tx.admin.count({
+          where: { role: 'admin', isActive: true, id: { not: id } },
+        });
+        if (otherActiveAdmins === 0) {
+          return { status: 409, body: { error: 'Cannot deactivate or demote the last active admin' } };
+        }
+      }
+
+      const updated = await tx.admin.update({
+        where: { id },
+        data: value,
+        select: adminSelect,
+      });
+      return { status: 200, body: updated };
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Update admin error:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+    if (err.code === 'P2034') {
+      return res.status(409).json({ error: 'Concurrent update, please retry' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reset another admin's password
+router.post('/:id/reset-password', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const hashedPassword = await bcrypt.hash(value.password, 10);
+    await prisma.admin.update({
+      where: { id },
+      data: { password: hashedPassword },
+    });
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { vehicleSchema } = require('../middleware/validation');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { ServiceError } = require('../services/errors');
+const { parseSpreadsheet } = require('../services/spreadsheets');
+const { normalizeVehicle, importVehicles } = require('../services/vehicles');
+
+router.use(requireAdmin);
+
+// List vehicles with pagination and filters
+router.get('/', requirePermission('products:view'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      make,
+      model,
+      search,
+    } = req.query;
+
+    const pageInt = parseInt(page);
+    const limitInt = parseInt(limit);
+    const skip = (pageInt - 1) * limitInt;
+
+    const where = {};
+    if (make) where.make = { equals: make, mode: 'insensitive' };
+    if (model) where.model = { equals: model, mode: 'insensitive' };
+    if (search) {
+      where.OR = [
+        { make: { contains: search, mode: 'insensitive' } },
+        { model: { contains: search, mode: 'insensitive' } },
+        { engine: { contains: search, mode: 'insensitive' } },
+      ];
+    }
+
+    const [vehicles, total] = await Promise.all([
+      prisma.vehicle.findMany({
+        where,
+        skip,
+        take: limitInt,
+        orderBy: [{ make: 'asc' }, { model: 'asc' }, { generation: 'asc' }, { engine: 'asc' }],
+      }),
+      prisma.vehicle.count({ where }),
+    ]);
+
+    res.json({
+      data: vehicles,
+      meta: {
+        page: pageInt,
+        limit: limitInt,
+        total,
+        pages: Math.ceil(total / limitInt),
+      },
+    });
+  } catch (err) {
+    console.error('Get vehicles error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Import the catalogue from CSV/XLSX (multipart field "file"), upserting by
+// make, model, generation and engine. With ?dryRun=true only the report is returned.
+router.post('/import', requirePermission('products:edit'), uploadSpreadsheet, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const rows = await parseSpreadsheet(req.file);
+    const report = await importVehicles(rows, { dryRun: req.query.dryRun === 'true' });
+
+    const status = !report.dryRun && !report.imported ? 400 : 200;
+    res.status(status).json(report);
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Vehicle import error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create vehicle
+router.post('/', requirePermission('products:edit'), async (req, res) => {
+  try {
+    const { error, value } = vehicleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const vehicle = await prisma.vehicle.create({
+      data: normalizeVehicle(value),
+    });
+
+    res.status(201).json(vehicle);
+  } catch (err) {
+    console.error('Create vehicle error:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Vehicle with this engine already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update vehicle
+router.put('/:id', requirePermission('products:edit'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { error, value } = vehicleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const vehicle = await prisma.vehicle.update({
+      where: { id },
+      data: normalizeVehicle(value),
+    });
+
+    res.json(vehicle);
+  } catch (err) {
+    console.error('Update vehicle error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Vehicle with this engine already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete vehicle
+router.delete('/:id', requirePermission('products:edit'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    await prisma.vehicle.delete({
+      where: { id },
+    });
+
+    res.json({ message: 'Vehicle deleted successfully' });
+  } catch (err) {
+    console.error('Delete vehicle error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
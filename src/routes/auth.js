@@ -3,17 +3,73 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const prisma = require('../db');
 const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const { requireUser } = require('../middleware/auth');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken } = require('../services/authTokens');
+const { requestLoginCode, verifyLoginCode } = require('../services/otp');
+const { ServiceError } = require('../services/errors');
+const { mergeGuestCart } = require('../services/cart');
+
+// Stricter per-IP limits for the one-time code endpoints
+const otpRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { error: 'Too many code requests, please try again later.' },
+});
+
+const otpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { error: 'Too many attempts, please try again later.' },
+});
+
+const userSelect = {
+  id: true,
+  email: true,
+  name: true,
+  phone: true,
+  createdAt: true,
+};
+
+// Moves the session's guest cart to the user who just signed in. A failure
+// here must not fail the login itself.
+async function mergeSessionCart(req, userId) {
+  try {
+    await mergeGuestCart(req.sessionID, userId);
+  } catch (err) {
+    console.error('Merge guest cart error:', err);
+  }
+}
 
 // Validation schemas
 const loginSchema = Joi.object({
-  username: Joi.string().required(),
+  email: Joi.string().email().lowercase().required(),
   password: Joi.string().required(),
 });
 
 const registerSchema = Joi.object({
-  email: Joi.string().email().required(),
+  email: Joi.string().email().lowercase().required(),
   phone: Joi.string().pattern(/^[\+]?[0-9]{10,15}$/).required(),
   name: Joi.string().min(2).max(100).required(),
+  password: Joi.string().min(8).max(128).required(),
+});
+
+const passwordSchema = Joi.object({
+  currentPassword: Joi.string().optional(),
+  password: Joi.string().min(8).max(128).required(),
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+const otpRequestSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const otpVerifySchema = Joi.object({
+  email: Joi.string().email().required(),
+  code: Joi.string().pattern(/^[0-9]{6}$/).required(),
 });
 
 // User registration
@@ -29,54 +85,204 @@ router.post('/register', async (req, res) => {
       where: { email: value.email },
     });
 
+    // Accounts created by guest orders or one-time codes have no password.
+    // Registering can't claim them: the owner signs in with a code first
+    // and sets a password via PUT /password.
+    if (existingUser && !existingUser.password) {
+      return res.status(409).json({
+        error: 'User already exists',
+        passwordless: true,
+        hint: 'Sign in with a one-time code, then set a password',
+      });
+    }
     if (existingUser) {
       return res.status(409).json({ error: 'User already exists' });
     }
 
+    const hashedPassword = await bcrypt.hash(value.password, 10);
+
     // Create user
     const user = await prisma.user.create({
       data: {
         email: value.email,
         phone: value.phone,
         name: value.name,
+        password: hashedPassword,
       },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        phone: true,
-        createdAt: true,
-      },
+      select: userSelect,
     });
 
-    // In a real app, you might want to send a confirmation email
-    // For now, we'll just return the user data
+    const tokens = await issueTokens(user);
+    await mergeSessionCart(req, user.id);
+
     res.status(201).json({
       message: 'User registered successfully',
       user,
+      ...tokens,
     });
   } catch (err) {
     console.error('Registration error:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'User already exists' });
+    }
     res.status(500).json({ error: 'Server error during registration' });
   }
 });
 
-// Get user profile (by email/phone for order tracking)
-router.get('/profile', async (req, res) => {
+// User login
+router.post('/login', async (req, res) => {
+  try {
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: value.email },
+    });
+
+    // Users created from guest orders have no password yet
+    if (!user || !user.password) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const validPassword = await bcrypt.compare(value.password, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const tokens = await issueTokens(user);
+    await mergeSessionCart(req, user.id);
+    const { password, ...safeUser } = user;
+
+    res.json({
+      message: 'Login successful',
+      user: safeUser,
+      ...tokens,
+    });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Passwordless login: send a one-time code to the email
+router.post('/otp/request', otpRequestLimiter, async (req, res) => {
   try {
-    const { email, phone } = req.query;
-    
-    if (!email && !phone) {
-      return res.status(400).json({ error: 'Email or phone is required' });
+    const { error, value } = otpRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
 
-    const where = {};
-    if (email) where.email = email;
-    if (phone) where.phone = phone;
+    const result = await requestLoginCode(value.email);
+    res.json({ message: 'Code sent', ...result });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('OTP request error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const user = await prisma.user.findFirst({
-      where,
-      include: {
+// Passwordless login: exchange the code for a token pair
+router.post('/otp/verify', otpVerifyLimiter, async (req, res) => {
+  try {
+    const { error, value } = otpVerifySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { user, tokens, linkedOrders } = await verifyLoginCode(value.email, value.code);
+    await mergeSessionCart(req, user.id);
+    res.json({
+      message: 'Login successful',
+      user,
+      linkedOrders,
+      ...tokens,
+    });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('OTP verify error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Set or change the password. Accounts without one (guest orders, one-time
+// codes) set it directly; otherwise the current password is required.
+router.put('/password', requireUser, async (req, res) => {
+  try {
+    const { error, value } = passwordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (user.password) {
+      const validPassword = value.currentPassword
+        && await bcrypt.compare(value.currentPassword, user.password);
+      if (!validPassword) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: await bcrypt.hash(value.password, 10) },
+    });
+
+    res.json({ message: 'Password updated' });
+  } catch (err) {
+    console.error('Set password error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Exchange refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await rotateRefreshToken(value.refreshToken);
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(result.tokens);
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout (revokes the refresh token; the access token expires by itself)
+router.post('/logout', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await revokeRefreshToken(value.refreshToken);
+    res.json({ message: 'Logout successful' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get current user profile
+router.get('/profile', requireUser, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        ...userSelect,
         orders: {
           include: {
             items: {
@@ -114,13 +320,7 @@ router.get('/profile', async (req, res) => {
       },
     });
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Remove password hash from response
-    const { password, ...userWithoutPassword } = user;
-    res.json(userWithoutPassword);
+    res.json(user);
   } catch (err) {
     console.error('Profile error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -128,20 +328,10 @@ router.get('/profile', async (req, res) => {
 });
 
 // Add product to favorites
-router.post('/favorites/:productId', async (req, res) => {
+router.post('/favorites/:productId', requireUser, async (req, res) => {
   try {
-    const { email } = req.body;
     const productId = parseInt(req.params.productId);
 
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-
-    const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
     const product = await prisma.product.findUnique({ where: { id: productId } });
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
@@ -150,12 +340,12 @@ router.post('/favorites/:productId', async (req, res) => {
     const favorite = await prisma.favorite.upsert({
       where: {
         userId_productId: {
-          userId: user.id,
+          userId: req.user.id,
           productId: productId,
         },
       },
       create: {
-        userId: user.id,
+        userId: req.user.id,
         productId: productId,
       },
       update: {},
@@ -180,23 +370,13 @@ router.post('/favorites/:productId', async (req, res) => {
 });
 
 // Remove from favorites
-router.delete('/favorites/:productId', async (req, res) => {
+router.delete('/favorites/:productId', requireUser, async (req, res) => {
   try {
-    const { email } = req.body;
     const productId = parseInt(req.params.productId);
 
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-
-    const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
     await prisma.favorite.deleteMany({
       where: {
-        userId: user.id,
+        userId: req.user.id,
         productId: productId,
       },
     });
@@ -208,4 +388,4 @@ router.delete('/favorites/:productId', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { optionalUser } = require('../middleware/auth');
+const { orderDetailsSchema } = require('../middleware/validation');
+const { SUPPORTED_LOCALES } = require('../services/notifications');
+const { ServiceError } = require('../services/errors');
+const { formatCreatedOrder } = require('../services/orders');
+const { startOrderPayment } = require('../services/payments');
+const {
+  MAX_ITEM_QUANTITY,
+  cartOwner,
+  getCartView,
+  addItem,
+  setItemQuantity,
+  removeItem,
+  clearCart,
+  quoteCart,
+  checkoutCart,
+} = require('../services/cart');
+
+// Validation schemas
+const addItemSchema = Joi.object({
+  productId: Joi.number().integer().positive().required(),
+  quantity: Joi.number().integer().positive().max(MAX_ITEM_QUANTITY).default(1),
+});
+
+const quantitySchema = Joi.object({
+  quantity: Joi.number().integer().min(0).max(MAX_ITEM_QUANTITY).required(),
+});
+
+const quoteSchema = Joi.object({
+  deliveryMethod: Joi.string().valid('pickup', 'delivery').default('delivery'),
+  deliveryAddress: Joi.when('deliveryMethod', {
+    is: 'delivery',
+    then: Joi.object({
+      city: Joi.string().required(),
+      postalCode: Joi.string().pattern(/^[0-9]{6}$/).optional().allow(''),
+    }).unknown(true).required(),
+    otherwise: Joi.any().strip(),
+  }),
+  promoCode: Joi.string().trim().max(50).optional().allow(''),
+});
+
+// Cart belongs to the logged-in user if there is a token, otherwise to the session
+router.use(optionalUser);
+
+// Get cart
+router.get('/', async (req, res) => {
+  try {
+    res.json(await getCartView(cartOwner(req)));
+  } catch (err) {
+    console.error('Get cart error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add product (adds to the quantity if it is already in the cart)
+router.post('/items', async (req, res) => {
+  try {
+    const { error, value } = addItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const owner = cartOwner(req);
+    await addItem(owner, value.productId, value.quantity);
+    res.status(201).json(await getCartView(owner));
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Add to cart error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change quantity (0 removes the product)
+router.put('/items/:productId', async (req, res) => {
+  try {
+    const productId = parseInt(req.params.productId);
+    const { error, value } = quantitySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const owner = cartOwner(req);
+    await setItemQuantity(owner, productId, value.quantity);
+    res.json(await getCartView(owner));
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Update cart error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove product
+router.delete('/items/:productId', async (req, res) => {
+  try {
+    const productId = parseInt(req.params.productId);
+    const owner = cartOwner(req);
+    await removeItem(owner, productId);
+    res.json(await getCartView(owner));
+  } catch (err) {
+    console.error('Remove from cart error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Clear cart
+router.delete('/', async (req, res) => {
+  try {
+    const owner = cartOwner(req);
+    await clearCart(owner);
+    res.json(await getCartView(owner));
+  } catch (err) {
+    console.error('Clear cart error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Totals for the cart with delivery to the given address and an optional promo code
+router.post('/quote', async (req, res) => {
+  try {
+    const { error, value } = quoteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const quote = await quoteCart(cartOwner(req), value, {
+      userId: req.user ? req.user.id : null,
+    });
+
+    res.json(quote);
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Cart quote error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Place an order from the cart. Body is the same as POST /api/orders without `items`.
+router.post('/checkout', async (req, res) => {
+  try {
+    const { error, value } = orderDetailsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const order = await checkoutCart(cartOwner(req), value, {
+      userId: req.user ? req.user.id : null,
+      locale: req.acceptsLanguages(...SUPPORTED_LOCALES) || undefined,
+    });
+
+    const payment = await startOrderPayment(order);
+    res.status(201).json(formatCreatedOrder(order, payment));
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Cart checkout error:', err);
+    res.status(500).json({ error: 'Server error creating order' });
+  }
+});
+
+module.exports = router;
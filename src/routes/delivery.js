@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+
+// Active delivery zones with their fees, for the checkout page
+router.get('/zones', async (req, res) => {
+  try {
+    const zones = await prisma.deliveryZone.findMany({
+      where: { isActive: true },
+      orderBy: { name: 'asc' },
+      select: {
+        id: true,
+        name: true,
+        cities: true,
+        fee: true,
+        freeThreshold: true,
+        estimatedDays: true,
+      },
+    });
+
+    res.json(zones);
+  } catch (err) {
+    console.error('Get delivery zones error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
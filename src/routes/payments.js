@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+const Joi = require('joi');
+const { ServiceError } = require('../services/errors');
+const {
+  getProvider,
+  createPayment,
+  handleWebhook,
+} = require('../services/payments');
+
+// Validation schemas
+const orderAccessSchema = Joi.object({
+  phone: Joi.string().required(),
+});
+
+// Order by tracking number, checked against the customer's phone like /api/orders/track
+async function findCustomerOrder(trackingNumber, phone) {
+  const order = await prisma.order.findUnique({ where: { trackingNumber } });
+  if (!order) {
+    throw new ServiceError('Order not found', 404);
+  }
+  if (order.phone !== phone) {
+    throw new ServiceError('Access denied. Phone number does not match.', 403);
+  }
+  return order;
+}
+
+function formatPayment(payment) {
+  return {
+    id: payment.id,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    confirmationUrl: payment.status === 'pending' ? payment.confirmationUrl : null,
+    paidAt: payment.paidAt,
+    createdAt: payment.createdAt,
+  };
+}
+
+// Provider notifications. Answered with 2xx once handled so the provider stops retrying.
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const payment = await handleWebhook(req.params.provider, {
+      rawBody: req.rawBody,
+      headers: req.headers,
+    });
+    res.json({ received: true, paymentId: payment.id });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Payment webhook error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Payment state of an order, for the page the customer returns to
+router.get('/orders/:trackingNumber', async (req, res) => {
+  try {
+    const { error, value } = orderAccessSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Phone number is required' });
+    }
+
+    const order = await findCustomerOrder(req.params.trackingNumber, value.phone);
+    const payments = await prisma.payment.findMany({
+      where: { orderId: order.id },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      totalAmount: order.totalAmount,
+      payments: payments.map(formatPayment),
+    });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Get order payment error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Start (or retry) paying for an order
+router.post('/orders/:trackingNumber', async (req, res) => {
+  try {
+    const { error, value } = orderAccessSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Phone number is required' });
+    }
+
+    const order = await findCustomerOrder(req.params.trackingNumber, value.phone);
+    const payment = await createPayment(order.id);
+
+    res.status(201).json(formatPayment(payment));
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Create payment error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Payment page of the fake provider: completes the payment through the
+// regular webhook path and sends the customer back. Not available in production.
+router.get('/fake/:providerPaymentId/complete', async (req, res) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ error: 'API endpoint not found' });
+  }
+
+  try {
+    const result = req.query.result === 'failed' ? 'failed' : 'succeeded';
+    const fake = getProvider('fake');
+
+    const payment = await handleWebhook('fake', fake.buildWebhook(req.params.providerPaymentId, result));
+    if (payment.returnUrl) {
+      return res.redirect(payment.returnUrl);
+    }
+    res.json({ status: result });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Fake payment error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
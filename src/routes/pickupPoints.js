@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+
+const publicFields = {
+  id: true,
+  name: true,
+  city: true,
+  address: true,
+  workingHours: true,
+  phone: true,
+  latitude: true,
+  longitude: true,
+};
+
+// Active pickup points. With ?productId= each point also reports how many
+// of that product it has ("available at store X").
+router.get('/', async (req, res) => {
+  try {
+    const { city, productId } = req.query;
+
+    const where = { isActive: true };
+    if (city) where.city = { equals: city, mode: 'insensitive' };
+
+    const productIdInt = productId ? parseInt(productId) : null;
+
+    const points = await prisma.pickupPoint.findMany({
+      where,
+      orderBy: [{ city: 'asc' }, { name: 'asc' }],
+      select: {
+        ...publicFields,
+        ...(productIdInt && {
+          warehouse: {
+            select: {
+              stock: {
+                where: { productId: productIdInt },
+                select: { quantity: true },
+              },
+            },
+          },
+        }),
+      },
+    });
+
+    if (!productIdInt) {
+      return res.json(points);
+    }
+
+    res.json(points.map(({ warehouse, ...point }) => ({
+      ...point,
+      available: warehouse && warehouse.stock.length > 0 ? warehouse.stock[0].quantity : 0,
+    })));
+  } catch (err) {
+    console.error('Get pickup points error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get pickup point with the products in stock there
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const point = await prisma.pickupPoint.findFirst({
+      where: { id, isActive: true },
+      select: {
+        ...publicFields,
+        warehouse: {
+          select: {
+            stock: {
+              where: { quantity: { gt: 0 } },
+              select: { productId: true, quantity: true },
+            },
+          },
+        },
+      },
+    });
+
+    if (!point) {
+      return res.status(404).json({ error: 'Pickup point not found' });
+    }
+
+    const { warehouse, ...rest } = point;
+    res.json({ ...rest, stock: warehouse ? warehouse.stock : [] });
+  } catch (err) {
+    console.error('Get pickup point error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,119 +2,93 @@ const express = require('express');
 const router = express.Router();
 const prisma = require('../db');
 const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const { withPricing, onSaleWhere } = require('../services/pricing');
+const { loadAttributeDefinitions, formatAttributes } = require('../services/attributes');
+const {
+  parseProductFilters,
+  checkSpelling,
+  isPlainSearch,
+  searchProducts,
+  productFacets,
+  suggestProducts,
+} = require('../services/productSearch');
+const { parseSearchQuery } = require('../services/searchQuery');
+const { MAX_QUERY_LENGTH, logSearch, popularQueries } = require('../services/searchTerms');
+
+// Popular queries count visitors, not requests: a visitor's repeats of a
+// query within the hour aren't logged, nor anything past 30 searches an hour.
+// The search itself still works, only logSearch is skipped.
+function searchLogLimiter(options) {
+  return rateLimit({
+    windowMs: 60 * 60 * 1000,
+    standardHeaders: false,
+    legacyHeaders: false,
+    skip: req => req.skipSearchLog || !req.query.q || (parseInt(req.query.page) || 1) > 1,
+    handler: (req, res, next) => {
+      req.skipSearchLog = true;
+      next();
+    },
+    ...options,
+  });
+}
+
+const searchLogLimiters = [
+  searchLogLimiter({
+    max: 1,
+    keyGenerator: req => `${rateLimit.ipKeyGenerator(req.ip)}:${parseSearchQuery(req.query.q).text}`,
+  }),
+  searchLogLimiter({ max: 30 }),
+];
+
+// Validation schemas
+const suggestSchema = Joi.object({
+  q: Joi.string().trim().max(MAX_QUERY_LENGTH).allow('').default(''),
+  limit: Joi.number().integer().min(1).max(10).default(5),
+});
 
-// Get all products with advanced filtering, sorting, and search
-router.get('/', async (req, res) => {
+// Get all products with advanced filtering, sorting, and search.
+// brand, type, viscosity, application and volume take several values:
+// brand=Shell,Castrol. With q, sortBy=relevance ranks the best matches first.
+router.get('/', searchLogLimiters, async (req, res) => {
   try {
     const {
-      q, // search query
-      type,
-      viscosity,
-      brand,
-      volume,
-      application,
-      minPrice,
-      maxPrice,
-      inStock,
       sortBy = 'createdAt',
       sortOrder = 'desc',
       page = 1,
       limit = 12,
     } = req.query;
 
-    const pageInt = parseInt(page);
-    const limitInt = parseInt(limit);
-    const skip = (pageInt - 1) * limitInt;
-
-    // Build where clause
-    const where = {};
-
-    // Text search across multiple fields
-    if (q) {
-      where.OR = [
-        { name: { contains: q, mode: 'insensitive' } },
-        { description: { contains: q, mode: 'insensitive' } },
-        { brand: { contains: q, mode: 'insensitive' } },
-        { type: { contains: q, mode: 'insensitive' } },
-        { viscosity: { contains: q, mode: 'insensitive' } },
-        { application: { contains: q, mode: 'insensitive' } },
-        { sku: { contains: q, mode: 'insensitive' } },
-      ];
-    }
-
-    // Filtering
-    if (type) where.type = type;
-    if (viscosity) where.viscosity = viscosity;
-    if (brand) where.brand = brand;
-    if (volume) where.volume_ml = parseInt(volume);
-    if (application) where.application = application;
-    
-    // Price range
-    if (minPrice || maxPrice) {
-      where.price = {};
-      if (minPrice) where.price.gte = parseFloat(minPrice);
-      if (maxPrice) where.price.lte = parseFloat(maxPrice);
-    }
+    const pageInt = Math.max(parseInt(page) || 1, 1);
+    const limitInt = Math.min(Math.max(parseInt(limit) || 12, 1), 100);
 
-    // Stock filter
-    if (inStock === 'true') {
-      where.stock = { gt: 0 };
-    } else if (inStock === 'false') {
-      where.stock = { equals: 0 };
-    }
+    // Typed attributes filter too: api=SN, viscosityIndex>=170, ...
+    const definitions = await loadAttributeDefinitions(prisma);
+    const filters = parseProductFilters(req.query, definitions);
+    // Once for the page and every facet
+    filters.search = await checkSpelling(filters.search);
 
-    // Validate sort fields
-    const validSortFields = ['name', 'price', 'createdAt', 'brand', 'type'];
-    const sortField = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
-    const sortDirection = sortOrder === 'asc' ? 'asc' : 'desc';
-
-    // Get unique values for filters
-    const [products, total, filterOptions] = await Promise.all([
-      prisma.product.findMany({
-        where,
-        skip,
-        take: limitInt,
-        orderBy: { [sortField]: sortDirection },
-      }),
-      prisma.product.count({ where }),
-      prisma.product.findMany({
-        where: inStock === 'true' ? { stock: { gt: 0 } } : {},
-        select: {
-          brand: true,
-          type: true,
-          viscosity: true,
-          application: true,
-          volume_ml: true,
-        },
-      }),
+    // Facet counts respect every active filter except their own
+    const [{ products, total }, facets] = await Promise.all([
+      searchProducts(filters, { sortBy, sortOrder, page: pageInt, limit: limitInt }),
+      productFacets(filters, definitions),
     ]);
 
-    // Extract unique filter values
-    const brands = [...new Set(filterOptions.map(p => p.brand).filter(Boolean))].sort();
-    const types = [...new Set(filterOptions.map(p => p.type).filter(Boolean))].sort();
-    const viscosities = [...new Set(filterOptions.map(p => p.viscosity).filter(Boolean))].sort();
-    const applications = [...new Set(filterOptions.map(p => p.application).filter(Boolean))].sort();
-    const volumes = [...new Set(filterOptions.map(p => p.volume_ml).filter(Boolean))].sort((a, b) => a - b);
+    // Refinements and further pages aren't new searches
+    if (pageInt === 1 && isPlainSearch(filters) && !req.skipSearchLog) {
+      logSearch(req.query.q, filters.search, total)
+        .catch(err => console.error('Log search error:', err));
+    }
 
     res.json({
-      data: products,
+      data: products.map(product => withPricing(product)),
       meta: {
         page: pageInt,
         limit: limitInt,
         total,
         pages: Math.ceil(total / limitInt),
       },
-      filters: {
-        brands,
-        types,
-        viscosities,
-        applications,
-        volumes,
-        priceRange: {
-          min: await prisma.product.aggregate({ _min: { price: true } }).then(r => r._min.price || 0),
-          max: await prisma.product.aggregate({ _max: { price: true } }).then(r => r._max.price || 0),
-        },
-      },
+      filters: facets,
     });
   } catch (err) {
     console.error('Get products error:', err);
@@ -122,12 +96,48 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Suggestions for the search box while the customer types. Works with the
+// same search as the list; popular queries come from submitted searches.
+router.get('/suggest', async (req, res) => {
+  try {
+    const { error, value } = suggestSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const search = parseSearchQuery(value.q);
+    const [matches, popular] = await Promise.all([
+      search.terms.length > 0
+        ? suggestProducts(search, value.limit)
+        : { brands: [], viscosities: [], products: [] },
+      popularQueries(search.text ? search : null, value.limit),
+    ]);
+
+    res.json({
+      query: value.q,
+      brands: matches.brands,
+      viscosities: matches.viscosities,
+      products: matches.products.map(product => {
+        const { salePrice, saleStartsAt, saleEndsAt, stock, ...rest } = withPricing(product);
+        return { ...rest, inStock: stock > 0 };
+      }),
+      popularQueries: popular,
+    });
+  } catch (err) {
+    console.error('Get search suggestions error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get single product by ID
 router.get('/:id', async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const product = await prisma.product.findUnique({
       where: { id },
+      include: {
+        attributes: { include: { attribute: true } },
+      },
     });
 
     if (!product) {
@@ -154,8 +164,9 @@ router.get('/:id', async (req, res) => {
     });
 
     res.json({
-      ...product,
-      relatedProducts,
+      ...withPricing(product),
+      attributes: formatAttributes(product.attributes),
+      relatedProducts: relatedProducts.map(related => withPricing(related)),
     });
   } catch (err) {
     console.error('Get product error:', err);
@@ -175,7 +186,7 @@ router.get('/sku/:sku', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    res.json(product);
+    res.json(withPricing(product));
   } catch (err) {
     console.error('Get product by SKU error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -186,6 +197,7 @@ router.get('/sku/:sku', async (req, res) => {
 router.get('/featured/:type', async (req, res) => {
   try {
     const { type } = req.params; // popular, new, discount
+    let where = { stock: { gt: 0 } };
     let orderBy = {};
     let take = 8;
 
@@ -202,17 +214,22 @@ router.get('/featured/:type', async (req, res) => {
         orderBy = { price: 'desc' };
         take = 4;
         break;
+      case 'discount':
+        // Products with a sale running now, ending soonest first
+        where = { ...where, ...onSaleWhere() };
+        orderBy = [{ saleEndsAt: { sort: 'asc', nulls: 'last' } }, { createdAt: 'desc' }];
+        break;
       default:
         orderBy = { createdAt: 'desc' };
     }
 
     const products = await prisma.product.findMany({
-      where: { stock: { gt: 0 } },
+      where,
       orderBy,
       take,
     });
 
-    res.json(products);
+    res.json(products.map(product => withPricing(product)));
   } catch (err) {
     console.error('Get featured products error:', err);
     res.status(500).json({ error: 'Server error' });
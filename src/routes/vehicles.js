@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db');
+const { withPricing } = require('../services/pricing');
+const { findCompatibleProducts } = require('../services/vehicles');
+
+// Oil selection by car: make → model → engine → matching products
+
+// Makes in the catalogue
+router.get('/makes', async (req, res) => {
+  try {
+    const makes = await prisma.vehicle.findMany({
+      distinct: ['make'],
+      select: { make: true },
+      orderBy: { make: 'asc' },
+    });
+
+    res.json(makes.map(vehicle => vehicle.make));
+  } catch (err) {
+    console.error('Get vehicle makes error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Models of a make
+router.get('/models', async (req, res) => {
+  try {
+    const { make } = req.query;
+    if (!make) {
+      return res.status(400).json({ error: 'make is required' });
+    }
+
+    const models = await prisma.vehicle.findMany({
+      where: { make: { equals: make, mode: 'insensitive' } },
+      distinct: ['model'],
+      select: { model: true },
+      orderBy: { model: 'asc' },
+    });
+
+    res.json(models.map(vehicle => vehicle.model));
+  } catch (err) {
+    console.error('Get vehicle models error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Generations and engines of a model, optionally for a model year
+router.get('/', async (req, res) => {
+  try {
+    const { make, model, year } = req.query;
+    if (!make || !model) {
+      return res.status(400).json({ error: 'make and model are required' });
+    }
+
+    const where = {
+      make: { equals: make, mode: 'insensitive' },
+      model: { equals: model, mode: 'insensitive' },
+    };
+    if (year) {
+      const yearInt = parseInt(year);
+      where.AND = [
+        { OR: [{ yearFrom: null }, { yearFrom: { lte: yearInt } }] },
+        { OR: [{ yearTo: null }, { yearTo: { gte: yearInt } }] },
+      ];
+    }
+
+    const vehicles = await prisma.vehicle.findMany({
+      where,
+      orderBy: [{ generation: 'asc' }, { engine: 'asc' }],
+    });
+
+    res.json(vehicles);
+  } catch (err) {
+    console.error('Get vehicles error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get single vehicle with its oil requirements
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const vehicle = await prisma.vehicle.findUnique({ where: { id } });
+
+    if (!vehicle) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+
+    res.json(vehicle);
+  } catch (err) {
+    console.error('Get vehicle error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Products that fit the vehicle, in stock first, then cheapest first
+router.get('/:id/products', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const vehicle = await prisma.vehicle.findUnique({ where: { id } });
+
+    if (!vehicle) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+
+    const products = await findCompatibleProducts(vehicle, {
+      inStock: req.query.inStock === 'true',
+    });
+
+    res.json({
+      vehicle,
+      data: products.map(product => withPricing(product)),
+    });
+  } catch (err) {
+    console.error('Get vehicle products error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
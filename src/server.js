@@ -1,3 +1,11 @@
 const app = require('./app');
+const { startEmailWorker } = require('./services/notifications');
+const { startPriceScheduler } = require('./services/pricing');
+const { cardPaymentsAvailable } = require('./services/payments');
 const PORT = process.env.PORT || 4000;
+if (!cardPaymentsAvailable()) {
+  console.warn('No payment provider configured: card orders are refused');
+}
 app.listen(PORT, () => console.log(`Backend running on http://localhost:${PORT}`));
+startEmailWorker();
+startPriceScheduler();
@@ -0,0 +1,159 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../db');
+const { REPORT_TIME_ZONE } = require('./orderExport');
+
+// Sales analytics. Everything is aggregated in SQL; cancelled orders never
+// count towards revenue or units. Line revenue is priceEach × (quantity −
+// returnedQuantity), before order-level discounts and delivery.
+
+const PERIODS = ['day', 'week', 'month'];
+const PRODUCT_DIMENSIONS = ['viscosity', 'type', 'application'];
+const ORDER_DIMENSIONS = ['deliveryMethod', 'paymentMethod'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Defaults to the last 30 days
+function resolveRange({ startDate, endDate } = {}) {
+  const to = endDate ? new Date(endDate) : new Date();
+  const from = startDate ? new Date(startDate) : new Date(to.getTime() - 30 * DAY);
+  return { from, to };
+}
+
+function placedIn(range) {
+  return Prisma.sql`o."createdAt" >= ${range.from} AND o."createdAt" <= ${range.to}`;
+}
+
+const notCancelled = Prisma.sql`o."status" <> 'cancelled'`;
+
+const money = (expression) => Prisma.sql`ROUND(COALESCE(${expression}, 0)::numeric, 2)::float8`;
+
+const lineUnits = Prisma.sql`(i."quantity" - i."returnedQuantity")`;
+const lineRevenue = Prisma.sql`(i."priceEach" * (i."quantity" - i."returnedQuantity"))`;
+
+function rankBy(sortBy) {
+  return sortBy === 'units'
+    ? Prisma.sql`"units" DESC, "revenue" DESC`
+    : Prisma.sql`"revenue" DESC, "units" DESC`;
+}
+
+// Revenue, order count and average order value, in total and per period
+async function getSalesSummary({ range, groupBy = 'day' }) {
+  // Periods start at local midnight of the report time zone
+  const localTime = Prisma.sql`(o."createdAt" AT TIME ZONE 'UTC') AT TIME ZONE ${REPORT_TIME_ZONE}`;
+
+  const [series, [totals]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT to_char(date_trunc(${groupBy}, ${localTime}), 'YYYY-MM-DD') AS "period",
+             COUNT(*)::int AS "orders",
+             ${money(Prisma.sql`SUM(o."totalAmount")`)} AS "revenue",
+             ${money(Prisma.sql`SUM(o."refundedAmount")`)} AS "refunded",
+             ${money(Prisma.sql`AVG(o."totalAmount")`)} AS "averageOrderValue"
+      FROM "Order" o
+      WHERE ${notCancelled} AND ${placedIn(range)}
+      GROUP BY 1
+      ORDER BY 1
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "orders",
+             ${money(Prisma.sql`SUM(o."totalAmount")`)} AS "revenue",
+             ${money(Prisma.sql`SUM(o."refundedAmount")`)} AS "refunded",
+             ${money(Prisma.sql`SUM(o."discountAmount")`)} AS "discount",
+             ${money(Prisma.sql`SUM(o."deliveryFee")`)} AS "deliveryFee",
+             ${money(Prisma.sql`AVG(o."totalAmount")`)} AS "averageOrderValue"
+      FROM "Order" o
+      WHERE ${notCancelled} AND ${placedIn(range)}
+    `,
+  ]);
+
+  return { totals, series };
+}
+
+// Best-selling products by revenue or units
+async function getTopProducts({ range, sortBy = 'revenue', limit = 10 }) {
+  return prisma.$queryRaw`
+    SELECT p."id" AS "productId", p."sku", p."name", p."brand",
+           SUM(${lineUnits})::int AS "units",
+           ${money(Prisma.sql`SUM(${lineRevenue})`)} AS "revenue",
+           COUNT(DISTINCT o."id")::int AS "orders"
+    FROM "OrderItem" i
+    JOIN "Order" o ON o."id" = i."orderId"
+    JOIN "Product" p ON p."id" = i."productId"
+    WHERE ${notCancelled} AND ${placedIn(range)}
+    GROUP BY p."id"
+    ORDER BY ${rankBy(sortBy)}
+    LIMIT ${limit}
+  `;
+}
+
+async function getTopBrands({ range, sortBy = 'revenue', limit = 10 }) {
+  return prisma.$queryRaw`
+    SELECT p."brand",
+           SUM(${lineUnits})::int AS "units",
+           ${money(Prisma.sql`SUM(${lineRevenue})`)} AS "revenue",
+           COUNT(DISTINCT o."id")::int AS "orders",
+           COUNT(DISTINCT p."id")::int AS "products"
+    FROM "OrderItem" i
+    JOIN "Order" o ON o."id" = i."orderId"
+    JOIN "Product" p ON p."id" = i."productId"
+    WHERE ${notCancelled} AND ${placedIn(range)}
+    GROUP BY p."brand"
+    ORDER BY ${rankBy(sortBy)}
+    LIMIT ${limit}
+  `;
+}
+
+// Sales split by a product attribute (viscosity, type or application),
+// with each group's share of the revenue
+async function getSalesBreakdown({ range, by }) {
+  // `by` is checked against PRODUCT_DIMENSIONS before it gets here
+  const column = Prisma.raw(`p."${by}"`);
+
+  return prisma.$queryRaw`
+    SELECT ${column} AS "value",
+           SUM(${lineUnits})::int AS "units",
+           ${money(Prisma.sql`SUM(${lineRevenue})`)} AS "revenue",
+           COUNT(DISTINCT o."id")::int AS "orders",
+           ${money(Prisma.sql`100.0 * SUM(${lineRevenue}) / NULLIF(SUM(SUM(${lineRevenue})) OVER (), 0)`)} AS "revenueShare"
+    FROM "OrderItem" i
+    JOIN "Order" o ON o."id" = i."orderId"
+    JOIN "Product" p ON p."id" = i."productId"
+    WHERE ${notCancelled} AND ${placedIn(range)}
+    GROUP BY 1
+    ORDER BY "revenue" DESC
+  `;
+}
+
+// How orders placed with each delivery or payment method end up. Cancelled
+// orders are counted here, since they are what the rates are about, but
+// revenue and average order value still leave them out.
+async function getConversion({ range, by }) {
+  // `by` is checked against ORDER_DIMENSIONS before it gets here
+  const column = Prisma.raw(`o."${by}"`);
+
+  return prisma.$queryRaw`
+    SELECT ${column} AS "value",
+           COUNT(*)::int AS "placed",
+           (COUNT(*) FILTER (WHERE o."status" = 'delivered'))::int AS "completed",
+           (COUNT(*) FILTER (WHERE o."status" = 'cancelled'))::int AS "cancelled",
+           ${money(Prisma.sql`100.0 * COUNT(*) FILTER (WHERE o."status" = 'delivered') / COUNT(*)`)} AS "completionRate",
+           ${money(Prisma.sql`100.0 * COUNT(*) FILTER (WHERE o."status" = 'cancelled') / COUNT(*)`)} AS "cancellationRate",
+           ${money(Prisma.sql`SUM(o."totalAmount") FILTER (WHERE ${notCancelled})`)} AS "revenue",
+           ${money(Prisma.sql`AVG(o."totalAmount") FILTER (WHERE ${notCancelled})`)} AS "averageOrderValue"
+    FROM "Order" o
+    WHERE ${placedIn(range)}
+    GROUP BY 1
+    ORDER BY "placed" DESC
+  `;
+}
+
+module.exports = {
+  PERIODS,
+  PRODUCT_DIMENSIONS,
+  ORDER_DIMENSIONS,
+  resolveRange,
+  getSalesSummary,
+  getTopProducts,
+  getTopBrands,
+  getSalesBreakdown,
+  getConversion,
+};
@@ -0,0 +1,238 @@
+const { ServiceError } = require('./errors');
+
+// Typed product attributes. Values live in ProductAttribute; a copy is kept
+// in Product.characteristics (lists as arrays) so the card, exports and
+// vehicle matching can keep reading the JSON.
+
+const ATTRIBUTE_TYPES = ['number', 'string', 'list', 'boolean'];
+
+// Query parameters of GET /api/products an attribute code can't shadow
+const RESERVED_CODES = [
+  'q',
+  'type',
+  'viscosity',
+  'brand',
+  'volume',
+  'application',
+  'minPrice',
+  'maxPrice',
+  'inStock',
+  'sortBy',
+  'sortOrder',
+  'page',
+  'limit',
+];
+
+async function loadAttributeDefinitions(db) {
+  return db.attribute.findMany({ orderBy: [{ position: 'asc' }, { id: 'asc' }] });
+}
+
+function splitList(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(/[/,;|]/);
+  const seen = new Set();
+  return parts
+    .map(part => String(part).trim())
+    .filter(part => {
+      const key = part.toLowerCase();
+      if (!part || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// One input value → ProductAttribute rows, or an error message.
+// Numbers may be given as text with a decimal comma or the unit ("230°C").
+function parseValue(definition, value) {
+  const { code, type, unit } = definition;
+
+  if (type === 'number') {
+    let number = value;
+    if (typeof value === 'string') {
+      const text = (unit ? value.replace(unit, '') : value).trim().replace(',', '.');
+      number = text === '' ? NaN : Number(text);
+    }
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return { error: `"${code}" must be a number` };
+    }
+    return { rows: [{ valueNumber: number }] };
+  }
+
+  if (type === 'boolean') {
+    if (value === true || value === 'true') return { rows: [{ valueBoolean: true }] };
+    if (value === false || value === 'false') return { rows: [{ valueBoolean: false }] };
+    return { error: `"${code}" must be true or false` };
+  }
+
+  if (type === 'list') {
+    const values = splitList(value);
+    if (values.length === 0) {
+      return { error: `"${code}" must list at least one value` };
+    }
+    return { rows: values.map(valueText => ({ valueText })) };
+  }
+
+  if (typeof value === 'object') {
+    return { error: `"${code}" must be a string` };
+  }
+  const text = String(value).trim();
+  if (text === '') {
+    return { error: `"${code}" must not be empty` };
+  }
+  return { rows: [{ valueText: text }] };
+}
+
+// Validates a product's `attributes` ({ code: value }) against the
+// definitions. Keys of `characteristics` that are attribute codes count as
+// attribute values too, so older clients and imports keep working. null or
+// '' clears an attribute; attributes that aren't mentioned are left as is.
+function parseAttributeInput(definitions, { attributes = {}, characteristics } = {}) {
+  const byCode = new Map(definitions.map(definition => [definition.code, definition]));
+  const input = {};
+  for (const [code, value] of Object.entries(characteristics || {})) {
+    if (byCode.has(code)) input[code] = value;
+  }
+  Object.assign(input, attributes);
+
+  const changes = [];
+  const errors = [];
+  for (const [code, value] of Object.entries(input)) {
+    const definition = byCode.get(code);
+    if (!definition) {
+      errors.push(`Unknown attribute "${code}"`);
+      continue;
+    }
+    if (value === null || value === '') {
+      changes.push({ definition, rows: [] });
+      continue;
+    }
+
+    const parsed = parseValue(definition, value);
+    if (parsed.error) {
+      errors.push(parsed.error);
+    } else {
+      changes.push({ definition, rows: parsed.rows });
+    }
+  }
+
+  return { changes, errors };
+}
+
+function assertValidAttributes(parsed) {
+  if (parsed.errors.length > 0) {
+    throw new ServiceError('Invalid attributes', 400, { attributes: parsed.errors });
+  }
+}
+
+function rowValue(definition, rows) {
+  if (rows.length === 0) return null;
+  if (definition.type === 'list') return rows.map(row => row.valueText);
+  if (definition.type === 'number') return rows[0].valueNumber;
+  if (definition.type === 'boolean') return rows[0].valueBoolean;
+  return rows[0].valueText;
+}
+
+// Writes parsed changes and refreshes the copy in characteristics
+async function saveProductAttributes(tx, productId, parsed, definitions) {
+  for (const { definition, rows } of parsed.changes) {
+    await tx.productAttribute.deleteMany({ where: { productId, attributeId: definition.id } });
+    if (rows.length > 0) {
+      await tx.productAttribute.createMany({
+        data: rows.map(row => ({ ...row, productId, attributeId: definition.id })),
+      });
+    }
+  }
+
+  const [product, stored] = await Promise.all([
+    tx.product.findUnique({ where: { id: productId }, select: { characteristics: true } }),
+    tx.productAttribute.findMany({ where: { productId }, orderBy: { id: 'asc' } }),
+  ]);
+
+  const characteristics = { ...(product.characteristics || {}) };
+  for (const definition of definitions) {
+    const value = rowValue(definition, stored.filter(row => row.attributeId === definition.id));
+    if (value === null) {
+      delete characteristics[definition.code];
+    } else {
+      characteristics[definition.code] = value;
+    }
+  }
+
+  return tx.product.update({
+    where: { id: productId },
+    data: { characteristics },
+  });
+}
+
+// ProductAttribute rows (with `attribute` included) → what the card shows
+function formatAttributes(rows) {
+  const grouped = new Map();
+  for (const row of rows) {
+    const group = grouped.get(row.attributeId) || { definition: row.attribute, rows: [] };
+    group.rows.push(row);
+    grouped.set(row.attributeId, group);
+  }
+
+  return [...grouped.values()]
+    .sort((a, b) => a.definition.position - b.definition.position || a.definition.id - b.definition.id)
+    .map(({ definition, rows: values }) => ({
+      code: definition.code,
+      name: definition.name,
+      type: definition.type,
+      unit: definition.unit,
+      value: rowValue(definition, values),
+    }));
+}
+
+function queryValues(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+function queryNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// Attribute filters from the query string of the product list:
+//   api=SN,SP          any of the values (lists and strings)
+//   viscosityIndex>=170, flashPoint<=240, or code[gte]= / code[lte]=
+//   viscosityIndex=170 exact number, synthetic=true for booleans
+// Returns [{ definition, values | range | boolean }].
+function parseAttributeFilters(definitions, query) {
+  const filters = [];
+
+  for (const definition of definitions) {
+    if (!definition.isFilterable) continue;
+    const { code, type } = definition;
+    const raw = query[code];
+
+    if (type === 'number') {
+      const range = {};
+      const bounds = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+      const gte = queryNumber(query[`${code}>`] !== undefined ? query[`${code}>`] : bounds.gte);
+      const lte = queryNumber(query[`${code}<`] !== undefined ? query[`${code}<`] : bounds.lte);
+      if (gte !== undefined) range.gte = gte;
+      if (lte !== undefined) range.lte = lte;
+      if (typeof raw === 'string' && queryNumber(raw) !== undefined) range.equals = queryNumber(raw);
+      if (Object.keys(range).length > 0) filters.push({ definition, range });
+    } else if (type === 'boolean') {
+      if (raw === 'true' || raw === 'false') filters.push({ definition, boolean: raw === 'true' });
+    } else if (typeof raw === 'string' || Array.isArray(raw)) {
+      const values = queryValues(raw);
+      if (values.length > 0) filters.push({ definition, values });
+    }
+  }
+
+  return filters;
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  RESERVED_CODES,
+  loadAttributeDefinitions,
+  parseAttributeInput,
+  assertValidAttributes,
+  saveProductAttributes,
+  formatAttributes,
+  parseAttributeFilters,
+};
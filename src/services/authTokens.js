@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../db');
+const { envSecret } = require('./secrets');
+
+const JWT_SECRET = envSecret('JWT_SECRET');
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ sub: String(user.id), email: user.email }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+// Throws if the token is invalid or expired
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+// Issues an access token plus an opaque refresh token.
+// Only the sha256 of the refresh token is stored.
+async function issueTokens(user, db = prisma) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await db.refreshToken.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      expiresAt,
+    },
+  });
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+// Exchanges a refresh token for a new pair (rotation).
+// Returns null if the token is unknown, expired or already used.
+async function rotateRefreshToken(refreshToken) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { user: true },
+  });
+
+  if (!stored || stored.expiresAt < new Date()) {
+    return null;
+  }
+
+  if (stored.revokedAt) {
+    // A rotated token was presented again - treat as stolen and log out everywhere
+    await prisma.refreshToken.updateMany({
+      where: { userId: stored.userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    return null;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (count === 0) {
+      return null;
+    }
+    const tokens = await issueTokens(stored.user, tx);
+    return { user: stored.user, tokens };
+  });
+}
+
+async function revokeRefreshToken(refreshToken) {
+  await prisma.refreshToken.updateMany({
+    where: { tokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+}
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  verifyAccessToken,
+};
@@ -0,0 +1,239 @@
+const prisma = require('../db');
+const { ServiceError } = require('./errors');
+const { quoteOrder, createOrder } = require('./orders');
+const { withPricing } = require('./pricing');
+
+// Most of one product a cart line can hold
+const MAX_ITEM_QUANTITY = 1000;
+
+// Logged-in customers keep their cart on the User, guests on the express session
+function cartOwner(req) {
+  if (req.user) {
+    return { userId: req.user.id };
+  }
+  return { sessionId: req.sessionID };
+}
+
+async function findOrCreateCart(owner, db = prisma) {
+  return db.cart.upsert({
+    where: owner,
+    create: owner,
+    update: {},
+  });
+}
+
+// Cart with live prices and a warning for every line that can't be ordered as is
+async function getCartView(owner) {
+  const cart = await prisma.cart.findUnique({
+    where: owner,
+    include: {
+      items: {
+        orderBy: { createdAt: 'asc' },
+        include: {
+          product: {
+            select: {
+              id: true,
+              sku: true,
+              name: true,
+              brand: true,
+              viscosity: true,
+              volume_ml: true,
+              images: true,
+              price: true,
+              salePrice: true,
+              saleStartsAt: true,
+              saleEndsAt: true,
+              stock: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  const now = new Date();
+  const items = (cart ? cart.items : []).map(item => {
+    const product = withPricing(item.product, now);
+    let warning = null;
+    if (product.stock === 0) {
+      warning = { code: 'out_of_stock', message: 'Product is out of stock', available: 0 };
+    } else if (product.stock < item.quantity) {
+      warning = {
+        code: 'insufficient_stock',
+        message: `Only ${product.stock} left in stock`,
+        available: product.stock,
+      };
+    }
+
+    return {
+      productId: product.id,
+      quantity: item.quantity,
+      price: product.effectivePrice,
+      compareAtPrice: product.compareAtPrice,
+      lineTotal: Math.round(product.effectivePrice * item.quantity * 100) / 100,
+      product,
+      warning,
+    };
+  });
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  return {
+    items,
+    summary: {
+      itemsCount: items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: Math.round(subtotal * 100) / 100,
+      hasWarnings: items.some(item => item.warning),
+    },
+  };
+}
+
+async function addItem(owner, productId, quantity) {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { id: true },
+  });
+  if (!product) {
+    throw new ServiceError('Product not found', 404);
+  }
+
+  const cart = await findOrCreateCart(owner);
+  const line = { cartId: cart.id, productId };
+
+  // Adds to the line only while the total stays within the limit. A failed
+  // create means the line exists: retried once in case it appeared meanwhile.
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { count } = await prisma.cartItem.updateMany({
+      where: { ...line, quantity: { lte: MAX_ITEM_QUANTITY - quantity } },
+      data: { quantity: { increment: quantity } },
+    });
+    if (count > 0) return;
+
+    try {
+      await prisma.cartItem.create({ data: { ...line, quantity } });
+      return;
+    } catch (err) {
+      if (err.code !== 'P2002') throw err;
+    }
+  }
+
+  throw new ServiceError(`At most ${MAX_ITEM_QUANTITY} of a product fit in the cart`, 400, {
+    max: MAX_ITEM_QUANTITY,
+  });
+}
+
+async function setItemQuantity(owner, productId, quantity) {
+  const cart = await prisma.cart.findUnique({ where: owner });
+  if (!cart) {
+    throw new ServiceError('Product is not in the cart', 404);
+  }
+
+  if (quantity === 0) {
+    await prisma.cartItem.deleteMany({ where: { cartId: cart.id, productId } });
+    return;
+  }
+
+  const { count } = await prisma.cartItem.updateMany({
+    where: { cartId: cart.id, productId },
+    data: { quantity },
+  });
+  if (count === 0) {
+    throw new ServiceError('Product is not in the cart', 404);
+  }
+}
+
+async function removeItem(owner, productId) {
+  const cart = await prisma.cart.findUnique({ where: owner });
+  if (cart) {
+    await prisma.cartItem.deleteMany({ where: { cartId: cart.id, productId } });
+  }
+}
+
+async function clearCart(owner) {
+  const cart = await prisma.cart.findUnique({ where: owner });
+  if (cart) {
+    await prisma.cartItem.deleteMany({ where: { cartId: cart.id } });
+  }
+}
+
+// Moves the guest's session cart into the user's cart after login.
+// Quantities of products present in both carts are added up.
+async function mergeGuestCart(sessionId, userId) {
+  if (!sessionId) return;
+
+  await prisma.$transaction(async (tx) => {
+    const guestCart = await tx.cart.findUnique({
+      where: { sessionId },
+      include: { items: true },
+    });
+    if (!guestCart) return;
+
+    if (guestCart.items.length > 0) {
+      const userCart = await findOrCreateCart({ userId }, tx);
+      for (const item of guestCart.items) {
+        await tx.cartItem.upsert({
+          where: { cartId_productId: { cartId: userCart.id, productId: item.productId } },
+          create: { cartId: userCart.id, productId: item.productId, quantity: item.quantity },
+          update: { quantity: { increment: item.quantity } },
+        });
+      }
+    }
+
+    await tx.cart.delete({ where: { id: guestCart.id } });
+  });
+}
+
+async function getCartLines(owner) {
+  const cart = await prisma.cart.findUnique({
+    where: owner,
+    include: { items: true },
+  });
+  if (!cart || cart.items.length === 0) {
+    throw new ServiceError('Cart is empty', 400);
+  }
+  return cart.items;
+}
+
+// Price breakdown of the cart for the given address and promo code
+async function quoteCart(owner, details, options) {
+  const items = await getCartLines(owner);
+  return quoteOrder({
+    ...details,
+    items: items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+  }, options);
+}
+
+// Turns the cart into an order and empties it.
+// `details` are the contact/delivery fields accepted by POST /api/orders.
+async function checkoutCart(owner, details, options) {
+  const items = await getCartLines(owner);
+
+  // Only the ordered lines, as they were read: something added meanwhile
+  // stays in the cart. A double submit finds them gone and orders nothing.
+  const claimItems = async (tx) => {
+    const { count } = await tx.cartItem.deleteMany({
+      where: { OR: items.map(item => ({ id: item.id, quantity: item.quantity })) },
+    });
+    if (count !== items.length) {
+      throw new ServiceError('Cart was changed or already checked out, reload and retry', 409);
+    }
+  };
+
+  return createOrder({
+    ...details,
+    items: items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+  }, { ...options, claimItems });
+}
+
+module.exports = {
+  MAX_ITEM_QUANTITY,
+  cartOwner,
+  getCartView,
+  addItem,
+  setItemQuantity,
+  removeItem,
+  clearCart,
+  mergeGuestCart,
+  quoteCart,
+  checkoutCart,
+};
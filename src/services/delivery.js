@@ -0,0 +1,59 @@
+const { ServiceError } = require('./errors');
+const { roundMoney } = require('./promo');
+
+function normalizeCity(city) {
+  return city.trim().toLowerCase().replace(/ё/g, 'е').replace(/^(г\.|город)\s*/, '');
+}
+
+function matchesPostalCode(zone, postalCode) {
+  const code = postalCode.replace(/\s/g, '');
+  return zone.postalCodes.some(pattern => (
+    pattern.endsWith('*') ? code.startsWith(pattern.slice(0, -1)) : code === pattern
+  ));
+}
+
+// Zone serving the address: a postal code match wins over a city match
+async function findDeliveryZone(db, address) {
+  const zones = await db.deliveryZone.findMany({
+    where: { isActive: true },
+    orderBy: { id: 'asc' },
+  });
+
+  if (address.postalCode) {
+    const byPostalCode = zones.find(zone => matchesPostalCode(zone, address.postalCode));
+    if (byPostalCode) return byPostalCode;
+  }
+
+  if (address.city) {
+    const city = normalizeCity(address.city);
+    return zones.find(zone => zone.cities.some(zoneCity => normalizeCity(zoneCity) === city)) || null;
+  }
+
+  return null;
+}
+
+// Delivery fee for an order. `amount` is the goods total after discounts,
+// compared against the zone's free-delivery threshold.
+async function calculateDelivery(db, { deliveryMethod, deliveryAddress, amount, freeDelivery = false }) {
+  if (deliveryMethod !== 'delivery') {
+    return { zone: null, fee: 0 };
+  }
+
+  const zone = await findDeliveryZone(db, deliveryAddress || {});
+  if (!zone) {
+    throw new ServiceError('Delivery is not available to this address', 400, {
+      city: deliveryAddress && deliveryAddress.city,
+    });
+  }
+
+  const reachedThreshold = zone.freeThreshold !== null && amount >= zone.freeThreshold;
+  return {
+    zone,
+    fee: freeDelivery || reachedThreshold ? 0 : roundMoney(zone.fee),
+  };
+}
+
+module.exports = {
+  findDeliveryZone,
+  calculateDelivery,
+};
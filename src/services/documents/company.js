@@ -0,0 +1,17 @@
+// Реквизиты продавца для счетов и чеков
+const COMPANY = {
+  name: process.env.COMPANY_NAME || 'ООО «Ойл Маркет»',
+  inn: process.env.COMPANY_INN || '',
+  kpp: process.env.COMPANY_KPP || '',
+  ogrn: process.env.COMPANY_OGRN || '',
+  address: process.env.COMPANY_ADDRESS || '',
+  phone: process.env.COMPANY_PHONE || '',
+  email: process.env.COMPANY_EMAIL || '',
+  bankName: process.env.COMPANY_BANK_NAME || '',
+  bik: process.env.COMPANY_BIK || '',
+  account: process.env.COMPANY_ACCOUNT || '',
+  correspondentAccount: process.env.COMPANY_CORR_ACCOUNT || '',
+  vatNote: process.env.COMPANY_VAT_NOTE || 'Без НДС',
+};
+
+module.exports = COMPANY;
@@ -0,0 +1,108 @@
+const prisma = require('../../db');
+const { ServiceError } = require('../errors');
+const { renderOrderDocument } = require('./pdf');
+
+const DOCUMENT_TYPES = ['invoice', 'receipt'];
+const PREFIXES = {
+  invoice: 'INV',
+  receipt: 'RCP',
+};
+
+const documentOrderInclude = {
+  items: {
+    orderBy: { id: 'asc' },
+    include: {
+      product: {
+        select: {
+          name: true,
+          sku: true,
+        },
+      },
+    },
+  },
+  pickupPoint: true,
+};
+
+// A receipt confirms the money was taken: paid online or handed over on delivery
+function canIssue(type, order) {
+  if (type === 'receipt') {
+    return ['paid', 'partially_refunded'].includes(order.paymentStatus)
+      || (order.paymentMethod !== 'card' && order.status === 'delivered');
+  }
+  return order.status !== 'cancelled';
+}
+
+// The order's document of this type, numbered on first request. Numbers run
+// without gaps within a year: the counter row is taken in a single
+// INSERT … ON CONFLICT, which locks it until the document is saved.
+async function getOrderDocument(order, type) {
+  if (!DOCUMENT_TYPES.includes(type)) {
+    throw new ServiceError('Unknown document type', 400);
+  }
+
+  const existing = await prisma.orderDocument.findUnique({
+    where: { orderId_type: { orderId: order.id, type } },
+  });
+  if (existing) {
+    return existing;
+  }
+  if (!canIssue(type, order)) {
+    throw new ServiceError(`A ${type} can't be issued for this order yet`, 409, {
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+    });
+  }
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const year = new Date().getFullYear();
+      const [counter] = await tx.$queryRaw`
+        INSERT INTO "DocumentCounter" ("type", "year", "lastNumber")
+        VALUES (${type}, ${year}, 1)
+        ON CONFLICT ("type", "year")
+        DO UPDATE SET "lastNumber" = "DocumentCounter"."lastNumber" + 1
+        RETURNING "lastNumber"
+      `;
+
+      return tx.orderDocument.create({
+        data: {
+          orderId: order.id,
+          type,
+          number: `${PREFIXES[type]}-${year}-${String(counter.lastNumber).padStart(6, '0')}`,
+        },
+      });
+    });
+  } catch (err) {
+    // Requested twice at the same time: the first one keeps the number
+    if (err.code === 'P2002' && err.meta && err.meta.modelName === 'OrderDocument') {
+      const issued = await prisma.orderDocument.findUnique({
+        where: { orderId_type: { orderId: order.id, type } },
+      });
+      if (issued) return issued;
+    }
+    throw err;
+  }
+}
+
+// Sends the PDF as the HTTP response
+async function sendOrderDocument(res, orderId, type) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: documentOrderInclude,
+  });
+  if (!order) {
+    throw new ServiceError('Order not found', 404);
+  }
+
+  const document = await getOrderDocument(order, type);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${type}-${document.number}.pdf"`);
+  renderOrderDocument(res, document, order);
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getOrderDocument,
+  sendOrderDocument,
+};
@@ -0,0 +1,152 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const COMPANY = require('./company');
+
+// Standard PDF fonts have no Cyrillic, so a TTF is embedded
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const FONT_REGULAR = path.join(FONT_DIR, 'DejaVuSans.ttf');
+const FONT_BOLD = path.join(FONT_DIR, 'DejaVuSans-Bold.ttf');
+
+const TITLES = {
+  invoice: 'Счёт на оплату',
+  receipt: 'Товарный чек',
+};
+
+const PAYMENT_METHODS = {
+  card: 'банковская карта',
+  cash: 'наличные',
+  upon_receipt: 'при получении',
+};
+
+function formatMoney(amount) {
+  return amount.toLocaleString('ru-RU', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(date) {
+  return date.toLocaleDateString('ru-RU', { timeZone: 'Europe/Moscow' });
+}
+
+function formatAddress(order) {
+  if (order.deliveryMethod === 'pickup') {
+    return order.pickupPoint ? `Самовывоз: ${order.pickupPoint.city}, ${order.pickupPoint.address}` : 'Самовывоз';
+  }
+  const address = order.deliveryAddress || {};
+  return [address.postalCode, address.city, address.street, address.house, address.apartment && `кв. ${address.apartment}`]
+    .filter(Boolean)
+    .join(', ');
+}
+
+function companyLines() {
+  return [
+    COMPANY.inn && `ИНН ${COMPANY.inn}${COMPANY.kpp ? `, КПП ${COMPANY.kpp}` : ''}`,
+    COMPANY.ogrn && `ОГРН ${COMPANY.ogrn}`,
+    COMPANY.address,
+    [COMPANY.phone, COMPANY.email].filter(Boolean).join(', '),
+  ].filter(Boolean);
+}
+
+function bankLines() {
+  return [
+    COMPANY.bankName && `Банк: ${COMPANY.bankName}`,
+    COMPANY.bik && `БИК ${COMPANY.bik}`,
+    COMPANY.account && `Р/с ${COMPANY.account}`,
+    COMPANY.correspondentAccount && `К/с ${COMPANY.correspondentAccount}`,
+  ].filter(Boolean);
+}
+
+// Items table: columns are [title, width, align]
+const COLUMNS = [
+  ['№', 25, 'left'],
+  ['Товар', 230, 'left'],
+  ['Артикул', 80, 'left'],
+  ['Кол-во', 45, 'right'],
+  ['Цена', 65, 'right'],
+  ['Сумма', 70, 'right'],
+];
+
+function drawRow(doc, values, y, font) {
+  let x = doc.page.margins.left;
+  doc.font(font).fontSize(9);
+  const heights = values.map((value, i) => doc.heightOfString(String(value), { width: COLUMNS[i][1] - 4 }));
+  values.forEach((value, i) => {
+    doc.text(String(value), x, y, { width: COLUMNS[i][1] - 4, align: COLUMNS[i][2] });
+    x += COLUMNS[i][1];
+  });
+  return y + Math.max(...heights) + 4;
+}
+
+// Writes the invoice or receipt of the order into `stream` (an HTTP response).
+// `order` needs items with products and pickupPoint included.
+function renderOrderDocument(stream, { type, number, createdAt }, order) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `${TITLES[type]} № ${number}` } });
+  doc.registerFont('regular', FONT_REGULAR);
+  doc.registerFont('bold', FONT_BOLD);
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font('bold').fontSize(12).text(COMPANY.name);
+  doc.font('regular').fontSize(9);
+  for (const line of companyLines()) doc.text(line);
+  if (type === 'invoice') {
+    doc.moveDown(0.5);
+    for (const line of bankLines()) doc.text(line);
+  }
+
+  doc.moveDown(1.5);
+  doc.font('bold').fontSize(16).text(`${TITLES[type]} № ${number} от ${formatDate(createdAt)}`);
+  doc.font('regular').fontSize(10).text(`Заказ ${order.orderNumber} от ${formatDate(order.createdAt)}`);
+
+  doc.moveDown();
+  doc.text(`Покупатель: ${order.contactName || ''}, тел. ${order.phone}${order.email ? `, ${order.email}` : ''}`);
+  doc.text(`Доставка: ${formatAddress(order)}`);
+  doc.text(`Оплата: ${PAYMENT_METHODS[order.paymentMethod] || order.paymentMethod || ''}`);
+
+  doc.moveDown();
+  let y = drawRow(doc, COLUMNS.map(column => column[0]), doc.y, 'bold');
+  doc.moveTo(left, y - 2).lineTo(left + width, y - 2).stroke();
+
+  order.items.forEach((item, index) => {
+    if (y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    y = drawRow(doc, [
+      index + 1,
+      item.product.name,
+      item.product.sku,
+      item.quantity,
+      formatMoney(item.priceEach),
+      formatMoney(item.priceEach * item.quantity),
+    ], y, 'regular');
+  });
+  doc.moveTo(left, y).lineTo(left + width, y).stroke();
+
+  const totals = [['Товары', order.subtotalAmount]];
+  if (order.discountAmount > 0) {
+    totals.push([`Скидка${order.promoCode ? ` (${order.promoCode})` : ''}`, -order.discountAmount]);
+  }
+  if (order.deliveryMethod === 'delivery') {
+    totals.push(['Доставка', order.deliveryFee]);
+  }
+  totals.push(['Итого', order.totalAmount]);
+
+  doc.y = y + 8;
+  for (const [label, amount] of totals) {
+    doc.font(label === 'Итого' ? 'bold' : 'regular').fontSize(10)
+      .text(`${label}: ${formatMoney(amount)} ₽`, left, doc.y, { width, align: 'right' });
+  }
+  doc.font('regular').fontSize(9).text(COMPANY.vatNote, left, doc.y, { width, align: 'right' });
+
+  if (type === 'invoice') {
+    doc.moveDown(2);
+    doc.fontSize(9).text(`Оплатить не позднее 5 банковских дней. В назначении платежа укажите номер счёта ${number}.`, left);
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  renderOrderDocument,
+};
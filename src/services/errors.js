@@ -0,0 +1,14 @@
+// Error thrown by services to be turned into an HTTP response by the route.
+// `details` is merged into the JSON body next to `error`.
+class ServiceError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  ServiceError,
+};
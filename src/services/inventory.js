@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const { ServiceError } = require('./errors');
+
+// Stock lives per warehouse and every change is written to the StockMovement
+// ledger. Product.stock is kept as the total over all warehouses. All
+// functions take a transaction client so they commit or roll back together
+// with the change that caused them.
+
+const MOVEMENT_TYPES = ['receipt', 'sale', 'return', 'adjustment', 'transfer'];
+
+function levelKey(warehouseId, productId) {
+  return { warehouseId_productId: { warehouseId, productId } };
+}
+
+async function getStockLevel(tx, warehouseId, productId) {
+  const level = await tx.warehouseStock.findUnique({ where: levelKey(warehouseId, productId) });
+  return level ? level.quantity : 0;
+}
+
+// Changes one warehouse's stock by `quantity` (negative takes goods out) and
+// records the movement. Outgoing movements are conditional on enough stock,
+// and with `expected` the change only applies if the stock is still exactly
+// that. Returns null when the condition didn't hold.
+async function moveStock(tx, {
+  warehouseId,
+  productId,
+  quantity,
+  type,
+  expected,
+  orderId = null,
+  adminId = null,
+  transferId = null,
+  comment = null,
+}) {
+  let level;
+  if (quantity > 0 && expected === undefined) {
+    level = await tx.warehouseStock.upsert({
+      where: levelKey(warehouseId, productId),
+      create: { warehouseId, productId, quantity },
+      update: { quantity: { increment: quantity } },
+    });
+  } else {
+    const where = { warehouseId, productId };
+    where.quantity = expected !== undefined ? expected : { gte: -quantity };
+
+    const { count } = await tx.warehouseStock.updateMany({
+      where,
+      data: { quantity: { increment: quantity } },
+    });
+    if (count === 0) {
+      return null;
+    }
+    level = await tx.warehouseStock.findUnique({ where: levelKey(warehouseId, productId) });
+  }
+
+  await tx.product.update({
+    where: { id: productId },
+    data: { stock: { increment: quantity } },
+  });
+
+  return tx.stockMovement.create({
+    data: {
+      warehouseId,
+      productId,
+      type,
+      quantity,
+      balanceAfter: level.quantity,
+      orderId,
+      adminId,
+      transferId,
+      comment,
+    },
+  });
+}
+
+async function getDefaultWarehouse(tx) {
+  const warehouse = await tx.warehouse.findFirst({
+    where: { isDefault: true },
+    orderBy: { id: 'asc' },
+  });
+  if (!warehouse) {
+    throw new ServiceError('Default warehouse is not configured', 409);
+  }
+  return warehouse;
+}
+
+// Warehouses an order is collected from: the pickup point's own shelf, or
+// for delivery every other active warehouse, default first
+async function findOrderWarehouses(tx, pickupPointId) {
+  if (pickupPointId) {
+    return tx.warehouse.findMany({ where: { pickupPointId, isActive: true } });
+  }
+  return tx.warehouse.findMany({
+    where: { pickupPointId: null, isActive: true },
+    orderBy: [{ isDefault: 'desc' }, { id: 'asc' }],
+  });
+}
+
+// Takes the order's lines out of stock, splitting a line across warehouses
+// when one doesn't hold enough. Returns the lines that couldn't be covered.
+async function takeOrderStock(tx, { orderId, pickupPointId, lines }) {
+  const warehouses = await findOrderWarehouses(tx, pickupPointId);
+  const shortages = [];
+
+  for (const line of lines) {
+    let remaining = line.quantity;
+
+    for (const warehouse of warehouses) {
+      while (remaining > 0) {
+        const available = await getStockLevel(tx, warehouse.id, line.productId);
+        if (available <= 0) break;
+
+        const take = Math.min(remaining, available);
+        const movement = await moveStock(tx, {
+          warehouseId: warehouse.id,
+          productId: line.productId,
+          quantity: -take,
+          type: 'sale',
+          orderId,
+        });
+        // null: a parallel order took some meanwhile, read the level again
+        if (movement) remaining -= take;
+      }
+      if (remaining === 0) break;
+    }
+
+    if (remaining > 0) {
+      shortages.push({
+        productId: line.productId,
+        requested: line.quantity,
+        available: line.quantity - remaining,
+      });
+    }
+  }
+
+  return shortages;
+}
+
+// Puts back everything a cancelled order took from stock, minus what was
+// already returned, into the warehouses it was taken from.
+// Safe to call twice: Order.restockedAt marks it done.
+async function restockOrder(tx, orderId, { adminId = null } = {}) {
+  const { count } = await tx.order.updateMany({
+    where: { id: orderId, restockedAt: null },
+    data: { restockedAt: new Date() },
+  });
+  if (count === 0) {
+    return [];
+  }
+
+  const [items, sales] = await Promise.all([
+    tx.orderItem.findMany({
+      where: { orderId },
+      select: { productId: true, quantity: true, returnedQuantity: true },
+    }),
+    tx.stockMovement.findMany({
+      where: { orderId, type: 'sale' },
+      orderBy: { id: 'asc' },
+    }),
+  ]);
+
+  const restocked = [];
+  for (const item of items) {
+    let remaining = item.quantity - item.returnedQuantity;
+    if (remaining <= 0) continue;
+
+    const portions = sales
+      .filter(sale => sale.productId === item.productId)
+      .map(sale => ({ warehouseId: sale.warehouseId, quantity: -sale.quantity }));
+    // Orders placed before the ledger existed have no sale movements
+    if (portions.length === 0) {
+      const warehouse = await getDefaultWarehouse(tx);
+      portions.push({ warehouseId: warehouse.id, quantity: remaining });
+    }
+
+    for (const portion of portions) {
+      const quantity = Math.min(remaining, portion.quantity);
+      if (quantity <= 0) break;
+
+      await moveStock(tx, {
+        warehouseId: portion.warehouseId,
+        productId: item.productId,
+        quantity,
+        type: 'return',
+        orderId,
+        adminId,
+        comment: 'Order cancelled',
+      });
+      remaining -= quantity;
+    }
+
+    restocked.push({ productId: item.productId, quantity: item.quantity - item.returnedQuantity });
+  }
+
+  return restocked;
+}
+
+// Goods a customer sent back go to the warehouse they were sold from
+async function returnToStock(tx, { orderId, productId, quantity, adminId = null }) {
+  const sale = await tx.stockMovement.findFirst({
+    where: { orderId, productId, type: 'sale' },
+    orderBy: { id: 'desc' },
+  });
+  const warehouseId = sale ? sale.warehouseId : (await getDefaultWarehouse(tx)).id;
+
+  return moveStock(tx, {
+    warehouseId,
+    productId,
+    quantity,
+    type: 'return',
+    orderId,
+    adminId,
+    comment: 'Customer return',
+  });
+}
+
+async function receiveStock(tx, { warehouseId, items, adminId = null, comment = null }) {
+  const movements = [];
+  for (const item of items) {
+    movements.push(await moveStock(tx, {
+      warehouseId,
+      productId: item.productId,
+      quantity: item.quantity,
+      type: 'receipt',
+      adminId,
+      comment,
+    }));
+  }
+  return movements;
+}
+
+// Inventory count: sets the counted quantities and records the differences
+// as adjustments. Products that match the count get no movement.
+async function countStock(tx, { warehouseId, items, adminId = null, comment = null }) {
+  const movements = [];
+  for (const item of items) {
+    for (;;) {
+      const level = await tx.warehouseStock.findUnique({ where: levelKey(warehouseId, item.productId) });
+      const current = level ? level.quantity : 0;
+      const difference = item.quantity - current;
+      if (difference === 0) break;
+
+      const movement = await moveStock(tx, {
+        warehouseId,
+        productId: item.productId,
+        quantity: difference,
+        type: 'adjustment',
+        expected: level ? current : undefined,
+        adminId,
+        comment,
+      });
+      // null: stock moved while we were counting, compare again
+      if (movement) {
+        movements.push(movement);
+        break;
+      }
+    }
+  }
+  return movements;
+}
+
+// Moves goods between warehouses. Both halves share a transferId.
+async function transferStock(tx, { fromWarehouseId, toWarehouseId, items, adminId = null, comment = null }) {
+  const transferId = crypto.randomUUID();
+  const movements = [];
+
+  for (const item of items) {
+    const out = await moveStock(tx, {
+      warehouseId: fromWarehouseId,
+      productId: item.productId,
+      quantity: -item.quantity,
+      type: 'transfer',
+      adminId,
+      transferId,
+      comment,
+    });
+    if (!out) {
+      throw new ServiceError('Insufficient stock', 409, {
+        productId: item.productId,
+        requested: item.quantity,
+        available: await getStockLevel(tx, fromWarehouseId, item.productId),
+      });
+    }
+
+    const into = await moveStock(tx, {
+      warehouseId: toWarehouseId,
+      productId: item.productId,
+      quantity: item.quantity,
+      type: 'transfer',
+      adminId,
+      transferId,
+      comment,
+    });
+    movements.push(out, into);
+  }
+
+  return { transferId, movements };
+}
+
+// Recomputes WarehouseStock and Product.stock from the ledger.
+// Returns how many rows were out of line with it.
+async function rebuildStock(tx) {
+  // Blocks new movements until the rebuild commits
+  await tx.$executeRaw`LOCK TABLE "StockMovement" IN SHARE MODE`;
+
+  const warehouseRows = await tx.$executeRaw`
+    INSERT INTO "WarehouseStock" ("warehouseId", "productId", "quantity", "updatedAt")
+    SELECT "warehouseId", "productId", SUM("quantity")::INTEGER, NOW()
+    FROM "StockMovement"
+    GROUP BY "warehouseId", "productId"
+    ON CONFLICT ("warehouseId", "productId") DO UPDATE
+    SET "quantity" = EXCLUDED."quantity", "updatedAt" = NOW()
+    WHERE "WarehouseStock"."quantity" <> EXCLUDED."quantity"
+  `;
+
+  const orphanRows = await tx.$executeRaw`
+    UPDATE "WarehouseStock" ws
+    SET "quantity" = 0, "updatedAt" = NOW()
+    WHERE ws."quantity" <> 0 AND NOT EXISTS (
+      SELECT 1 FROM "StockMovement" m
+      WHERE m."warehouseId" = ws."warehouseId" AND m."productId" = ws."productId"
+    )
+  `;
+
+  const products = await tx.$executeRaw`
+    UPDATE "Product" p
+    SET "stock" = t."total"
+    FROM (
+      SELECT p2."id", COALESCE(SUM(ws."quantity"), 0)::INTEGER AS "total"
+      FROM "Product" p2
+      LEFT JOIN "WarehouseStock" ws ON ws."productId" = p2."id"
+      GROUP BY p2."id"
+    ) t
+    WHERE t."id" = p."id" AND p."stock" <> t."total"
+  `;
+
+  return { warehouseRows: warehouseRows + orphanRows, products };
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  getDefaultWarehouse,
+  takeOrderStock,
+  restockOrder,
+  returnToStock,
+  receiveStock,
+  countStock,
+  transferStock,
+  rebuildStock,
+};
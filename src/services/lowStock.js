@@ -0,0 +1,100 @@
+const prisma = require('../db');
+
+// Low stock means stock below the product's reorderThreshold. Suggested
+// reorder amounts come from the product's reorderQuantity or, when that
+// isn't set, from how fast the product sold recently.
+
+const DAY = 24 * 60 * 60 * 1000;
+const SALES_WINDOW_DAYS = parseInt(process.env.REORDER_SALES_WINDOW_DAYS || '30');
+// A computed suggestion restocks to the threshold plus this many days of sales
+const REORDER_COVER_DAYS = parseInt(process.env.REORDER_COVER_DAYS || '30');
+
+function lowStockWhere() {
+  return { stock: { lt: prisma.product.fields.reorderThreshold } };
+}
+
+// Products an order has just pushed below their threshold. Each crossing is
+// reported once: products that were already low before the order are skipped.
+function findCrossedThreshold(productsAfter, lines) {
+  return productsAfter.filter(product => {
+    const line = lines.find(l => l.productId === product.id);
+    return product.stock < product.reorderThreshold
+      && product.stock + line.quantity >= product.reorderThreshold;
+  });
+}
+
+// Units sold per product over the last `days`, net of returns
+async function getUnitsSold(productIds, days) {
+  const sales = await prisma.orderItem.groupBy({
+    by: ['productId'],
+    where: {
+      productId: { in: productIds },
+      order: {
+        status: { not: 'cancelled' },
+        createdAt: { gte: new Date(Date.now() - days * DAY) },
+      },
+    },
+    _sum: { quantity: true, returnedQuantity: true },
+  });
+
+  return new Map(sales.map(row => [
+    row.productId,
+    (row._sum.quantity || 0) - (row._sum.returnedQuantity || 0),
+  ]));
+}
+
+function suggestReorder(product, dailySales) {
+  if (product.reorderQuantity) {
+    return product.reorderQuantity;
+  }
+  const target = product.reorderThreshold + Math.ceil(dailySales * REORDER_COVER_DAYS);
+  return Math.max(target - product.stock, 1);
+}
+
+// Products below their threshold with sales velocity and a suggested
+// reorder amount, the ones that will run out first on top
+async function getLowStockReport({ days = SALES_WINDOW_DAYS } = {}) {
+  const products = await prisma.product.findMany({
+    where: lowStockWhere(),
+    select: {
+      id: true,
+      sku: true,
+      name: true,
+      brand: true,
+      stock: true,
+      reorderThreshold: true,
+      reorderQuantity: true,
+    },
+  });
+  const unitsSold = await getUnitsSold(products.map(product => product.id), days);
+
+  return products
+    .map(product => {
+      const sold = unitsSold.get(product.id) || 0;
+      const dailySales = sold / days;
+      let daysOfStock = null;
+      if (product.stock === 0) daysOfStock = 0;
+      else if (dailySales > 0) daysOfStock = Math.floor(product.stock / dailySales);
+
+      return {
+        ...product,
+        unitsSold: sold,
+        dailySales: Math.round(dailySales * 100) / 100,
+        // null: nothing sold in the window, so no estimate
+        daysOfStock,
+        suggestedQuantity: suggestReorder(product, dailySales),
+      };
+    })
+    .sort((a, b) => {
+      const left = a.daysOfStock === null ? Infinity : a.daysOfStock;
+      const right = b.daysOfStock === null ? Infinity : b.daysOfStock;
+      return left === right ? a.stock - b.stock : left - right;
+    });
+}
+
+module.exports = {
+  SALES_WINDOW_DAYS,
+  lowStockWhere,
+  findCrossedThreshold,
+  getLowStockReport,
+};
@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Oil Market <no-reply@oilmarket.ru>';
+
+// Without SMTP_HOST messages are rendered to JSON and logged instead of sent,
+// which is enough for local development.
+function createTransport() {
+  if (!process.env.SMTP_HOST) {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+}
+
+let transport = createTransport();
+
+// Lets tests swap in a capturing transporter, e.g. nodemailer.createTransport({ jsonTransport: true })
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+async function sendMail(message) {
+  const info = await transport.sendMail({ from: MAIL_FROM, ...message });
+  if (!process.env.SMTP_HOST) {
+    console.log('📧 Mail (not sent, SMTP_HOST is not set):', message.to, message.subject);
+  }
+  return info;
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+};
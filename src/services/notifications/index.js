@@ -0,0 +1,204 @@
+const prisma = require('../../db');
+const { sendMail } = require('../mailer');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, renderTemplate } = require('./templates');
+const { postWebhook } = require('./webhook');
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 20;
+const WORKER_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS || '5000');
+// Rows stuck in "sending" longer than this (e.g. the process died) are retried
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+// Statuses the customer is notified about
+const NOTIFIED_STATUSES = ['processing', 'shipped', 'delivered', 'cancelled'];
+
+// Emails are only queued here; the worker sends them outside the request
+async function enqueueEmail({ to, template, locale = DEFAULT_LOCALE, data, orderId = null }) {
+  return prisma.emailLog.create({
+    data: {
+      to,
+      template,
+      locale,
+      payload: data,
+      orderId,
+    },
+  });
+}
+
+function orderEmail(order) {
+  return order.email || (order.user && order.user.email) || null;
+}
+
+async function notifyOrderCreated(order) {
+  const to = orderEmail(order);
+  if (!to) return null;
+
+  return enqueueEmail({
+    to,
+    template: 'orderConfirmation',
+    locale: order.locale,
+    orderId: order.id,
+    data: {
+      orderNumber: order.orderNumber,
+      trackingNumber: order.trackingNumber,
+      contactName: order.contactName,
+      totalAmount: order.totalAmount,
+      items: order.items.map(item => ({
+        name: item.product.name,
+        quantity: item.quantity,
+        priceEach: item.priceEach,
+      })),
+    },
+  });
+}
+
+async function notifyOrderStatusChanged(order) {
+  const to = orderEmail(order);
+  if (!to || !NOTIFIED_STATUSES.includes(order.status)) return null;
+
+  return enqueueEmail({
+    to,
+    template: 'orderStatus',
+    locale: order.locale,
+    orderId: order.id,
+    data: {
+      orderNumber: order.orderNumber,
+      trackingNumber: order.trackingNumber,
+      contactName: order.contactName,
+      status: order.status,
+    },
+  });
+}
+
+// Sends one alert per admin listing every product from `products`, and
+// posts them to LOW_STOCK_WEBHOOK_URL when it is set
+async function notifyLowStock(products) {
+  if (products.length === 0) return;
+
+  const data = {
+    products: products.map(p => ({
+      id: p.id,
+      name: p.name,
+      sku: p.sku,
+      stock: p.stock,
+      reorderThreshold: p.reorderThreshold,
+    })),
+  };
+
+  if (process.env.LOW_STOCK_WEBHOOK_URL) {
+    // The email still goes out if the webhook endpoint is down
+    postWebhook(process.env.LOW_STOCK_WEBHOOK_URL, { event: 'stock.low', data }, process.env.LOW_STOCK_WEBHOOK_SECRET)
+      .catch(err => console.error('Low stock webhook error:', err.message));
+  }
+
+  let recipients = (process.env.ADMIN_NOTIFICATION_EMAILS || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+
+  if (recipients.length === 0) {
+    const admins = await prisma.admin.findMany({
+      where: { role: 'admin', isActive: true },
+      select: { email: true },
+    });
+    recipients = admins.map(admin => admin.email);
+  }
+
+  await Promise.all(recipients.map(to => enqueueEmail({ to, template: 'lowStock', data })));
+}
+
+async function deliver(email) {
+  try {
+    const { subject, text, html } = renderTemplate(email.template, email.payload, email.locale);
+    await sendMail({ to: email.to, subject, text, html });
+
+    await prisma.emailLog.update({
+      where: { id: email.id },
+      data: {
+        status: 'sent',
+        subject,
+        sentAt: new Date(),
+        attempts: { increment: 1 },
+        lastError: null,
+      },
+    });
+  } catch (err) {
+    const attempts = email.attempts + 1;
+    const failed = attempts >= MAX_ATTEMPTS;
+    // 1, 2, 4, 8 minutes between attempts
+    const delayMs = Math.pow(2, attempts - 1) * 60 * 1000;
+
+    console.error(`Email ${email.id} (${email.template}) attempt ${attempts} failed:`, err.message);
+    await prisma.emailLog.update({
+      where: { id: email.id },
+      data: {
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        lastError: err.message,
+        nextAttemptAt: new Date(Date.now() + delayMs),
+      },
+    });
+  }
+}
+
+async function processPendingEmails() {
+  await prisma.emailLog.updateMany({
+    where: { status: 'sending', updatedAt: { lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    data: { status: 'pending' },
+  });
+
+  const due = await prisma.emailLog.findMany({
+    where: { status: 'pending', nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: BATCH_SIZE,
+  });
+
+  for (const email of due) {
+    // Claim the row so a second worker doesn't send it again
+    const { count } = await prisma.emailLog.updateMany({
+      where: { id: email.id, status: 'pending' },
+      data: { status: 'sending' },
+    });
+    if (count === 1) {
+      await deliver(email);
+    }
+  }
+
+  return due.length;
+}
+
+let workerTimer = null;
+
+function startEmailWorker() {
+  if (workerTimer) return;
+
+  let running = false;
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processPendingEmails();
+    } catch (err) {
+      console.error('Email worker error:', err);
+    } finally {
+      running = false;
+    }
+  }, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+}
+
+function stopEmailWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  enqueueEmail,
+  notifyOrderCreated,
+  notifyOrderStatusChanged,
+  notifyLowStock,
+  processPendingEmails,
+  startEmailWorker,
+  stopEmailWorker,
+};
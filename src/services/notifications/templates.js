@@ -0,0 +1,179 @@
+// Email templates. Each template gets the payload stored in EmailLog and
+// returns { subject, text, html }. Add a locale by adding a key to `messages`.
+
+const DEFAULT_LOCALE = 'ru';
+
+const messages = {
+  ru: {
+    currency: 'ru-RU',
+    greeting: (name) => (name ? `Здравствуйте, ${name}!` : 'Здравствуйте!'),
+    orderConfirmation: {
+      subject: (d) => `Заказ ${d.orderNumber} принят`,
+      intro: (d) => `Спасибо за заказ! Мы получили ваш заказ ${d.orderNumber} и скоро начнём его обработку.`,
+      product: 'Товар',
+      quantity: 'Кол-во',
+      price: 'Цена',
+      sum: 'Сумма',
+      total: 'Итого',
+      tracking: (d) => `Номер для отслеживания: ${d.trackingNumber}`,
+    },
+    orderStatus: {
+      subject: (d) => `Заказ ${d.orderNumber}: ${messages.ru.statuses[d.status] || d.status}`,
+      intro: (d) => `Статус вашего заказа ${d.orderNumber} изменён на «${messages.ru.statuses[d.status] || d.status}».`,
+      tracking: (d) => `Номер для отслеживания: ${d.trackingNumber}`,
+    },
+    lowStock: {
+      subject: (d) => `Заканчиваются товары (${d.products.length})`,
+      intro: () => 'Остаток следующих товаров опустился ниже порога:',
+      product: 'Товар',
+      stock: 'Остаток',
+      threshold: 'Порог',
+    },
+    statuses: {
+      new: 'новый',
+      processing: 'в обработке',
+      shipped: 'отправлен',
+      delivered: 'доставлен',
+      cancelled: 'отменён',
+    },
+    footer: 'Oil Market — моторные масла',
+  },
+  en: {
+    currency: 'en-US',
+    greeting: (name) => (name ? `Hello, ${name}!` : 'Hello!'),
+    orderConfirmation: {
+      subject: (d) => `Order ${d.orderNumber} received`,
+      intro: (d) => `Thank you for your order! We have received order ${d.orderNumber} and will start processing it soon.`,
+      product: 'Product',
+      quantity: 'Qty',
+      price: 'Price',
+      sum: 'Sum',
+      total: 'Total',
+      tracking: (d) => `Tracking number: ${d.trackingNumber}`,
+    },
+    orderStatus: {
+      subject: (d) => `Order ${d.orderNumber}: ${messages.en.statuses[d.status] || d.status}`,
+      intro: (d) => `Your order ${d.orderNumber} is now "${messages.en.statuses[d.status] || d.status}".`,
+      tracking: (d) => `Tracking number: ${d.trackingNumber}`,
+    },
+    lowStock: {
+      subject: (d) => `Products running low (${d.products.length})`,
+      intro: () => 'Stock of the following products dropped below the threshold:',
+      product: 'Product',
+      stock: 'Stock',
+      threshold: 'Threshold',
+    },
+    statuses: {
+      new: 'new',
+      processing: 'processing',
+      shipped: 'shipped',
+      delivered: 'delivered',
+      cancelled: 'cancelled',
+    },
+    footer: 'Oil Market — motor oils',
+  },
+};
+
+const SUPPORTED_LOCALES = Object.keys(messages);
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatMoney(amount, locale) {
+  return new Intl.NumberFormat(messages[locale].currency, {
+    style: 'currency',
+    currency: 'RUB',
+  }).format(amount);
+}
+
+function table(headers, rows) {
+  const head = headers.map(h => `<th align="left" style="padding:4px 8px;border-bottom:1px solid #ccc">${escapeHtml(h)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(cell => `<td style="padding:4px 8px">${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('');
+  return `<table cellspacing="0">${head ? `<tr>${head}</tr>` : ''}${body}</table>`;
+}
+
+const templates = {
+  orderConfirmation(d, locale) {
+    const t = messages[locale].orderConfirmation;
+    const rows = d.items.map(item => [
+      item.name,
+      item.quantity,
+      formatMoney(item.priceEach, locale),
+      formatMoney(item.priceEach * item.quantity, locale),
+    ]);
+    const total = `${t.total}: ${formatMoney(d.totalAmount, locale)}`;
+
+    return {
+      subject: t.subject(d),
+      text: [
+        messages[locale].greeting(d.contactName),
+        t.intro(d),
+        '',
+        ...rows.map(r => `${r[0]} × ${r[1]} — ${r[3]}`),
+        '',
+        total,
+        d.trackingNumber ? t.tracking(d) : '',
+        '',
+        messages[locale].footer,
+      ].join('\n'),
+      html: [
+        `<p>${escapeHtml(messages[locale].greeting(d.contactName))}</p>`,
+        `<p>${escapeHtml(t.intro(d))}</p>`,
+        table([t.product, t.quantity, t.price, t.sum], rows),
+        `<p><strong>${escapeHtml(total)}</strong></p>`,
+        d.trackingNumber ? `<p>${escapeHtml(t.tracking(d))}</p>` : '',
+        `<p style="color:#888">${escapeHtml(messages[locale].footer)}</p>`,
+      ].join('\n'),
+    };
+  },
+
+  orderStatus(d, locale) {
+    const t = messages[locale].orderStatus;
+    const lines = [
+      messages[locale].greeting(d.contactName),
+      t.intro(d),
+      d.trackingNumber ? t.tracking(d) : '',
+    ].filter(Boolean);
+
+    return {
+      subject: t.subject(d),
+      text: [...lines, '', messages[locale].footer].join('\n'),
+      html: [
+        ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+        `<p style="color:#888">${escapeHtml(messages[locale].footer)}</p>`,
+      ].join('\n'),
+    };
+  },
+
+  lowStock(d, locale) {
+    const t = messages[locale].lowStock;
+    const rows = d.products.map(p => [`${p.name}${p.sku ? ` (${p.sku})` : ''}`, p.stock, p.reorderThreshold || '']);
+
+    return {
+      subject: t.subject(d),
+      text: [t.intro(d), '', ...rows.map(r => `${r[0]}: ${r[1]} / ${r[2]}`)].join('\n'),
+      html: [`<p>${escapeHtml(t.intro(d))}</p>`, table([t.product, t.stock, t.threshold], rows)].join('\n'),
+    };
+  },
+};
+
+function renderTemplate(name, data, locale = DEFAULT_LOCALE) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data, messages[locale] ? locale : DEFAULT_LOCALE);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  renderTemplate,
+};
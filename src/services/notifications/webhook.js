@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// POSTs an event as JSON. With a secret the body is signed with
+// HMAC-SHA256, hex, in the X-Signature header.
+async function postWebhook(url, { event, data }, secret) {
+  const body = JSON.stringify({ event, createdAt: new Date().toISOString(), data });
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) {
+    headers['X-Signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook ${event} responded with ${response.status}`);
+  }
+}
+
+module.exports = {
+  postWebhook,
+};
@@ -0,0 +1,64 @@
+// Parsing and comparing motor oil specifications: SAE viscosity grades,
+// API and ACEA classes, OEM approvals
+
+// API service categories from oldest to newest. A newer category covers
+// the older ones of the same line (S — petrol, C — diesel).
+const API_SEQUENCES = [
+  ['SA', 'SB', 'SC', 'SD', 'SE', 'SF', 'SG', 'SH', 'SJ', 'SL', 'SM', 'SN', 'SP', 'SQ'],
+  ['CA', 'CB', 'CC', 'CD', 'CE', 'CF', 'CF-4', 'CG-4', 'CH-4', 'CI-4', 'CJ-4', 'CK-4'],
+];
+
+// "5w40", "5W40", "SAE 5W-40" → "5W-40"; monogrades ("SAE 40") → "40"
+function normalizeViscosity(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().toUpperCase().replace(/^SAE\s*/, '');
+  const multigrade = text.match(/^(\d{1,2})\s*W\s*-?\s*(\d{1,3})$/);
+  if (multigrade) return `${multigrade[1]}W-${multigrade[2]}`;
+  return text || null;
+}
+
+// "SN/CF", "A3/B4, C3" or an array → ["SN", "CF"]. "API"/"ACEA" prefixes
+// and "PLUS" suffixes are dropped.
+function splitClasses(value) {
+  if (value === null || value === undefined) return [];
+  const parts = Array.isArray(value) ? value : String(value).split(/[/,;|]/);
+  return parts
+    .map(part => String(part).trim().toUpperCase()
+      .replace(/^(API|ACEA)\s+/, '')
+      .replace(/\s*(PLUS|\+)$/, ''))
+    .filter(Boolean);
+}
+
+// Approvals are compared without spaces: "VW 502.00" = "vw502.00"
+function normalizeApproval(value) {
+  return String(value).toUpperCase().replace(/\s+/g, '');
+}
+
+function splitApprovals(value) {
+  if (value === null || value === undefined) return [];
+  const parts = Array.isArray(value) ? value : String(value).split(/[,;|]/);
+  return parts.map(part => String(part).trim()).filter(Boolean);
+}
+
+// Does an oil with `classes` meet API `required`, directly or through a
+// newer category of the same line?
+function meetsApi(classes, required) {
+  const sequence = API_SEQUENCES.find(line => line.includes(required));
+  if (!sequence) return classes.includes(required);
+  const minimum = sequence.indexOf(required);
+  return classes.some(cls => sequence.indexOf(cls) >= minimum);
+}
+
+// A combined ACEA class ("A3/B4") needs every part of it
+function meetsAcea(classes, required) {
+  return splitClasses(required).every(cls => classes.includes(cls));
+}
+
+module.exports = {
+  normalizeViscosity,
+  splitClasses,
+  normalizeApproval,
+  splitApprovals,
+  meetsApi,
+  meetsAcea,
+};
@@ -0,0 +1,265 @@
+const prisma = require('../db');
+const { ServiceError } = require('./errors');
+const { roundMoney } = require('./promo');
+const { safeText, createSheetWriter, findInBatches } = require('./spreadsheets');
+
+const REPORT_TIME_ZONE = process.env.REPORT_TIME_ZONE || 'Europe/Moscow';
+
+// Filters shared by the admin order list, exports and reports
+function buildOrderWhere({ status, startDate, endDate, search, pickupPointId, paymentStatus }) {
+  const where = {};
+  if (status) where.status = status;
+  if (pickupPointId) where.pickupPointId = parseInt(pickupPointId);
+  if (paymentStatus) where.paymentStatus = paymentStatus;
+  if (startDate || endDate) {
+    where.createdAt = {};
+    if (startDate) where.createdAt.gte = new Date(startDate);
+    if (endDate) where.createdAt.lte = new Date(endDate);
+  }
+  if (search) {
+    where.OR = [
+      { orderNumber: { contains: search, mode: 'insensitive' } },
+      { contactName: { contains: search, mode: 'insensitive' } },
+      { phone: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } },
+      { trackingNumber: { contains: search, mode: 'insensitive' } },
+    ];
+  }
+  return where;
+}
+
+const ORDER_COLUMNS = [
+  'orderNumber',
+  'createdAt',
+  'status',
+  'paymentMethod',
+  'paymentStatus',
+  'paidAt',
+  'contactName',
+  'phone',
+  'email',
+  'deliveryMethod',
+  'deliveryZone',
+  'pickupPoint',
+  'city',
+  'postalCode',
+  'address',
+  'itemsCount',
+  'subtotalAmount',
+  'discountAmount',
+  'promoCode',
+  'deliveryFee',
+  'totalAmount',
+  'refundedAmount',
+  'trackingNumber',
+];
+
+const LINE_COLUMNS = [
+  'orderNumber',
+  'createdAt',
+  'status',
+  'paymentStatus',
+  'contactName',
+  'phone',
+  'email',
+  'deliveryMethod',
+  'city',
+  'address',
+  'sku',
+  'productName',
+  'brand',
+  'quantity',
+  'returnedQuantity',
+  'priceEach',
+  'lineTotal',
+];
+
+const orderExportInclude = {
+  items: {
+    orderBy: { id: 'asc' },
+    include: {
+      product: {
+        select: {
+          sku: true,
+          name: true,
+          brand: true,
+        },
+      },
+    },
+  },
+  pickupPoint: { select: { name: true } },
+  deliveryZone: { select: { name: true } },
+};
+
+function deliveryFields(order) {
+  const address = order.deliveryAddress || {};
+  return {
+    city: safeText(address.city || ''),
+    postalCode: safeText(address.postalCode || ''),
+    address: safeText([address.street, address.house, address.apartment].filter(Boolean).join(', ')),
+  };
+}
+
+function orderRow(order) {
+  return {
+    orderNumber: order.orderNumber,
+    createdAt: order.createdAt.toISOString(),
+    status: order.status,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    paidAt: order.paidAt ? order.paidAt.toISOString() : '',
+    contactName: safeText(order.contactName),
+    phone: order.phone,
+    email: safeText(order.email),
+    deliveryMethod: order.deliveryMethod,
+    deliveryZone: order.deliveryZone ? order.deliveryZone.name : '',
+    pickupPoint: order.pickupPoint ? order.pickupPoint.name : '',
+    ...deliveryFields(order),
+    itemsCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotalAmount: order.subtotalAmount,
+    discountAmount: order.discountAmount,
+    promoCode: order.promoCode,
+    deliveryFee: order.deliveryFee,
+    totalAmount: order.totalAmount,
+    refundedAmount: order.refundedAmount,
+    trackingNumber: order.trackingNumber,
+  };
+}
+
+function lineRows(order) {
+  const { city, address } = deliveryFields(order);
+  return order.items.map(item => ({
+    orderNumber: order.orderNumber,
+    createdAt: order.createdAt.toISOString(),
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    contactName: safeText(order.contactName),
+    phone: order.phone,
+    email: safeText(order.email),
+    deliveryMethod: order.deliveryMethod,
+    city,
+    address,
+    sku: item.product.sku,
+    productName: item.product.name,
+    brand: item.product.brand,
+    quantity: item.quantity,
+    returnedQuantity: item.returnedQuantity,
+    priceEach: item.priceEach,
+    lineTotal: roundMoney(item.priceEach * item.quantity),
+  }));
+}
+
+// Streams orders (one row per order) or order lines (one row per item)
+// as CSV/XLSX, reading the database in batches
+async function exportOrders(res, { format, where, lines = false }) {
+  const columns = (lines ? LINE_COLUMNS : ORDER_COLUMNS).map(key => ({ key, header: key }));
+  const name = lines ? 'order-lines' : 'orders';
+  const writer = createSheetWriter(res, {
+    format,
+    filename: `${name}-${new Date().toISOString().slice(0, 10)}`,
+    sheetName: lines ? 'Order lines' : 'Orders',
+    columns,
+  });
+
+  const findMany = args => prisma.order.findMany(args);
+  for await (const batch of findInBatches(findMany, { where, include: orderExportInclude }, 200)) {
+    for (const order of batch) {
+      const rows = lines ? lineRows(order) : [orderRow(order)];
+      for (const row of rows) await writer.write(row);
+    }
+  }
+  await writer.end();
+}
+
+function periodOf(date, groupBy) {
+  // sv-SE formats as YYYY-MM-DD
+  const day = date.toLocaleDateString('sv-SE', { timeZone: REPORT_TIME_ZONE });
+  return groupBy === 'month' ? day.slice(0, 7) : day;
+}
+
+// Sales totals per day or month for the accountant. Cancelled orders are
+// left out unless the status filter asks for them.
+async function getAccountingReport({ where, groupBy = 'day' }) {
+  if (!['day', 'month'].includes(groupBy)) {
+    throw new ServiceError('groupBy must be day or month', 400);
+  }
+
+  const reportWhere = where.status ? where : { ...where, status: { not: 'cancelled' } };
+  const periods = new Map();
+  const findMany = args => prisma.order.findMany(args);
+  const select = {
+    id: true,
+    createdAt: true,
+    subtotalAmount: true,
+    discountAmount: true,
+    deliveryFee: true,
+    totalAmount: true,
+    refundedAmount: true,
+  };
+
+  for await (const batch of findInBatches(findMany, { where: reportWhere, select }, 1000)) {
+    for (const order of batch) {
+      const period = periodOf(order.createdAt, groupBy);
+      const row = periods.get(period) || {
+        period,
+        orders: 0,
+        subtotal: 0,
+        discount: 0,
+        deliveryFee: 0,
+        total: 0,
+        refunded: 0,
+      };
+      row.orders += 1;
+      row.subtotal += order.subtotalAmount;
+      row.discount += order.discountAmount;
+      row.deliveryFee += order.deliveryFee;
+      row.total += order.totalAmount;
+      row.refunded += order.refundedAmount;
+      periods.set(period, row);
+    }
+  }
+
+  const rows = [...periods.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(row => ({
+      ...row,
+      subtotal: roundMoney(row.subtotal),
+      discount: roundMoney(row.discount),
+      deliveryFee: roundMoney(row.deliveryFee),
+      total: roundMoney(row.total),
+      refunded: roundMoney(row.refunded),
+      net: roundMoney(row.total - row.refunded),
+    }));
+
+  const totals = rows.reduce((sum, row) => {
+    for (const key of ['orders', 'subtotal', 'discount', 'deliveryFee', 'total', 'refunded', 'net']) {
+      sum[key] = roundMoney(sum[key] + row[key]);
+    }
+    return sum;
+  }, { orders: 0, subtotal: 0, discount: 0, deliveryFee: 0, total: 0, refunded: 0, net: 0 });
+
+  return { groupBy, timeZone: REPORT_TIME_ZONE, rows, totals };
+}
+
+// The report as a spreadsheet, with the totals as the last row
+async function exportAccountingReport(res, { format, report }) {
+  const keys = ['period', 'orders', 'subtotal', 'discount', 'deliveryFee', 'total', 'refunded', 'net'];
+  const writer = createSheetWriter(res, {
+    format,
+    filename: `sales-report-${new Date().toISOString().slice(0, 10)}`,
+    sheetName: 'Sales',
+    columns: keys.map(key => ({ key, header: key })),
+  });
+
+  for (const row of report.rows) await writer.write(row);
+  await writer.write({ period: 'Total', ...report.totals });
+  await writer.end();
+}
+
+module.exports = {
+  REPORT_TIME_ZONE,
+  buildOrderWhere,
+  exportOrders,
+  getAccountingReport,
+  exportAccountingReport,
+};
@@ -0,0 +1,89 @@
+const prisma = require('../db');
+const { ServiceError } = require('./errors');
+const { restockOrder } = require('./inventory');
+const { releasePromoCode } = require('./promo');
+
+const ORDER_STATUSES = ['new', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed transitions: new → processing → shipped → delivered,
+// cancellation only before the order is shipped
+const TRANSITIONS = {
+  new: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Moves the order to `toStatus` and records it in OrderStatusHistory.
+// Cancelling puts the ordered quantities back in stock and frees the promo
+// code use in the same transaction. Card orders only go to processing once
+// the payment is confirmed.
+// `data` holds extra Order fields updated together with the status
+// (tracking number, notes). Returns the updated order.
+async function applyStatusChange(tx, orderId, toStatus, { adminId = null, comment = null, data = {} } = {}) {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw new ServiceError('Invalid status', 400);
+  }
+
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    select: { id: true, status: true, paymentMethod: true, paymentStatus: true },
+  });
+  if (!order) {
+    throw new ServiceError('Order not found', 404);
+  }
+
+  if (!canTransition(order.status, toStatus)) {
+    throw new ServiceError(`Cannot change status from ${order.status} to ${toStatus}`, 409, {
+      currentStatus: order.status,
+      allowedStatuses: TRANSITIONS[order.status] || [],
+    });
+  }
+  if (toStatus === 'processing' && order.paymentMethod === 'card' && order.paymentStatus !== 'paid') {
+    throw new ServiceError('Order is awaiting payment', 409, { paymentStatus: order.paymentStatus });
+  }
+
+  // Conditional on the status we validated against, so two admins
+  // can't apply conflicting transitions at the same time
+  const { count } = await tx.order.updateMany({
+    where: { id: orderId, status: order.status },
+    data: { ...data, status: toStatus },
+  });
+  if (count === 0) {
+    throw new ServiceError('Order status was changed by someone else, reload and retry', 409);
+  }
+
+  if (toStatus === 'cancelled') {
+    await restockOrder(tx, orderId, { adminId });
+    await releasePromoCode(tx, orderId);
+  }
+
+  await tx.orderStatusHistory.create({
+    data: {
+      orderId,
+      fromStatus: order.status,
+      toStatus,
+      adminId,
+      comment,
+    },
+  });
+
+  return tx.order.findUnique({ where: { id: orderId } });
+}
+
+async function changeOrderStatus(orderId, toStatus, options) {
+  return prisma.$transaction(tx => applyStatusChange(tx, orderId, toStatus, options));
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  applyStatusChange,
+  changeOrderStatus,
+};
@@ -0,0 +1,327 @@
+const prisma = require('../db');
+const { ServiceError } = require('./errors');
+const { notifyOrderCreated, notifyLowStock } = require('./notifications');
+const { roundMoney, validatePromoCode, redeemPromoCode } = require('./promo');
+const { getEffectivePrice } = require('./pricing');
+const { calculateDelivery } = require('./delivery');
+const { takeOrderStock } = require('./inventory');
+const { findCrossedThreshold } = require('./lowStock');
+const { cardPaymentsAvailable } = require('./payments');
+
+// Generate unique order number
+function generateOrderNumber() {
+  const date = new Date();
+  const datePart = date.toISOString().slice(2, 10).replace(/-/g, '');
+  const randomPart = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+  return `${process.env.ORDER_PREFIX || 'OM'}${datePart}${randomPart}`;
+}
+
+// Generate tracking number
+function generateTrackingNumber() {
+  const random = Math.random().toString(36).substring(2, 10).toUpperCase();
+  return `${process.env.TRACKING_PREFIX || 'OIL'}${random}`;
+}
+
+// Same product listed twice becomes one line. Sorted by id so concurrent
+// orders lock product rows in the same order and can't deadlock.
+function mergeItems(items) {
+  const quantities = new Map();
+  for (const item of items) {
+    quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+  }
+  return [...quantities.entries()]
+    .map(([productId, quantity]) => ({ productId, quantity }))
+    .sort((a, b) => a.productId - b.productId);
+}
+
+// `user` is where the confirmation goes when the order has no email of its own
+const orderInclude = {
+  user: {
+    select: {
+      email: true,
+      name: true,
+    },
+  },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          brand: true,
+          sku: true,
+        },
+      },
+    },
+  },
+};
+
+function findMissingProducts(productIds, products) {
+  return productIds.filter(id => !products.some(p => p.id === id));
+}
+
+// Full price breakdown of an order: effective prices, promo discount and
+// delivery fee. Used both for quotes and when the order is saved.
+async function priceOrder(db, { lines, products, promoCode, customer, deliveryMethod, deliveryAddress }) {
+  const now = new Date();
+  const pricedLines = lines.map(line => {
+    const product = products.find(p => p.id === line.productId);
+    return { product, quantity: line.quantity, price: getEffectivePrice(product, now) };
+  });
+  const subtotalAmount = roundMoney(pricedLines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+  const promo = promoCode
+    ? await validatePromoCode(db, promoCode, { lines: pricedLines, subtotal: subtotalAmount, customer })
+    : null;
+  const discountAmount = promo ? promo.discountAmount : 0;
+
+  const delivery = await calculateDelivery(db, {
+    deliveryMethod,
+    deliveryAddress,
+    amount: subtotalAmount - discountAmount,
+    freeDelivery: promo ? promo.freeDelivery : false,
+  });
+
+  return {
+    pricedLines,
+    subtotalAmount,
+    promo,
+    discountAmount,
+    deliveryZone: delivery.zone,
+    deliveryFee: delivery.fee,
+    totalAmount: roundMoney(subtotalAmount - discountAmount + delivery.fee),
+  };
+}
+
+// Price breakdown for a prospective order without reserving anything
+async function quoteOrder({ items, promoCode, deliveryMethod, deliveryAddress }, { userId = null } = {}) {
+  const lines = mergeItems(items);
+  const productIds = lines.map(line => line.productId);
+
+  const products = await prisma.product.findMany({
+    where: { id: { in: productIds } },
+  });
+
+  const missing = findMissingProducts(productIds, products);
+  if (missing.length > 0) {
+    throw new ServiceError('Some products not found', 404, { productIds: missing });
+  }
+
+  const pricing = await priceOrder(prisma, {
+    lines,
+    products,
+    promoCode,
+    customer: { userId },
+    deliveryMethod,
+    deliveryAddress,
+  });
+  const zone = pricing.deliveryZone;
+
+  return {
+    items: pricing.pricedLines.map(line => ({
+      productId: line.product.id,
+      name: line.product.name,
+      quantity: line.quantity,
+      price: line.price,
+      lineTotal: roundMoney(line.price * line.quantity),
+      available: line.product.stock,
+      inStock: line.product.stock >= line.quantity,
+    })),
+    subtotal: pricing.subtotalAmount,
+    discount: pricing.discountAmount,
+    promoCode: pricing.promo ? pricing.promo.promo.code : null,
+    deliveryFee: pricing.deliveryFee,
+    total: pricing.totalAmount,
+    delivery: zone ? {
+      zoneId: zone.id,
+      zoneName: zone.name,
+      estimatedDays: zone.estimatedDays,
+      freeThreshold: zone.freeThreshold,
+      amountToFreeDelivery: zone.freeThreshold !== null && pricing.deliveryFee > 0
+        ? roundMoney(zone.freeThreshold - (pricing.subtotalAmount - pricing.discountAmount))
+        : 0,
+    } : null,
+  };
+}
+
+// Creates the order and takes its items out of stock in one transaction.
+// Warehouse stock is decremented with `quantity >= taken` as the update
+// condition, so parallel checkouts can never oversell. If any item runs out,
+// nothing is written and a 409 ServiceError lists every item that is short.
+// Pickup orders can only take stock held at their pickup point.
+// `claimItems(tx)` runs first in the same transaction: cart checkout takes
+// the cart lines there, so the order and the emptied cart commit together.
+async function createOrder({ items, promoCode, ...orderData }, { userId = null, locale, claimItems } = {}) {
+  // Refused up front rather than leaving an order nobody can pay
+  if (orderData.paymentMethod === 'card' && !cardPaymentsAvailable()) {
+    throw new ServiceError('Card payments are not available, choose another payment method', 503);
+  }
+
+  const lines = mergeItems(items);
+  const productIds = lines.map(line => line.productId);
+
+  const { order, stockAfter } = await prisma.$transaction(async (tx) => {
+    if (claimItems) {
+      await claimItems(tx);
+    }
+
+    const products = await tx.product.findMany({
+      where: { id: { in: productIds } },
+    });
+
+    const missing = findMissingProducts(productIds, products);
+    if (missing.length > 0) {
+      throw new ServiceError('Some products not found', 404, { productIds: missing });
+    }
+
+    const pickupPointId = orderData.deliveryMethod === 'pickup' ? orderData.pickupPointId : null;
+    if (pickupPointId) {
+      const point = await tx.pickupPoint.findUnique({ where: { id: pickupPointId } });
+      if (!point || !point.isActive) {
+        throw new ServiceError('Pickup point not found', 400, { pickupPointId });
+      }
+    }
+
+    const customer = { userId, phone: orderData.phone, email: orderData.email };
+    const {
+      pricedLines,
+      subtotalAmount,
+      promo,
+      discountAmount,
+      deliveryZone,
+      deliveryFee,
+      totalAmount,
+    } = await priceOrder(tx, {
+      lines,
+      products,
+      promoCode,
+      customer,
+      deliveryMethod: orderData.deliveryMethod,
+      deliveryAddress: orderData.deliveryAddress,
+    });
+
+    const created = await tx.order.create({
+      data: {
+        orderNumber: generateOrderNumber(),
+        trackingNumber: generateTrackingNumber(),
+        userId,
+        subtotalAmount,
+        discountAmount,
+        promoCode: promo ? promo.promo.code : null,
+        deliveryZoneId: deliveryZone ? deliveryZone.id : null,
+        deliveryFee,
+        totalAmount,
+        locale,
+        ...orderData,
+        pickupPointId,
+        paymentStatus: orderData.paymentMethod === 'card' ? 'pending' : 'not_required',
+        items: {
+          create: pricedLines.map(line => ({
+            productId: line.product.id,
+            quantity: line.quantity,
+            priceEach: line.price,
+          })),
+        },
+        statusHistory: {
+          create: { toStatus: 'new' },
+        },
+      },
+      include: orderInclude,
+    });
+
+    const shortages = await takeOrderStock(tx, {
+      orderId: created.id,
+      pickupPointId,
+      lines,
+    });
+    if (shortages.length > 0) {
+      throw new ServiceError('Insufficient stock', 409, {
+        items: shortages.map(shortage => ({
+          ...shortage,
+          name: products.find(p => p.id === shortage.productId).name,
+          ...(pickupPointId && { pickupPointId }),
+        })),
+      });
+    }
+
+    if (promo) {
+      await redeemPromoCode(tx, promo.promo, {
+        orderId: created.id,
+        customer,
+        discountAmount,
+      });
+    }
+
+    // Keep the logged-in user's contact details up to date
+    if (userId) {
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          phone: orderData.phone,
+          name: orderData.contactName,
+        },
+      });
+    }
+
+    const updated = await tx.product.findMany({
+      where: { id: { in: productIds } },
+      select: {
+        id: true,
+        name: true,
+        sku: true,
+        stock: true,
+        reorderThreshold: true,
+      },
+    });
+
+    return { order: created, stockAfter: updated };
+  });
+
+  // Queue notifications; a failure here must not fail the order.
+  // Low stock is reported once, by the order that crossed the threshold.
+  const lowStockProducts = findCrossedThreshold(stockAfter, lines);
+  Promise.all([
+    notifyOrderCreated(order),
+    notifyLowStock(lowStockProducts),
+  ]).catch(err => console.error('Order notification error:', err));
+
+  return order;
+}
+
+// Response body for a newly created order. For card orders `payment` holds
+// the page to send the customer to, or is null if the payment couldn't start.
+function formatCreatedOrder(order, payment = null) {
+  return {
+    success: true,
+    message: 'Order created successfully',
+    order: {
+      id: order.id,
+      orderNumber: order.orderNumber,
+      trackingNumber: order.trackingNumber,
+      totalAmount: order.totalAmount,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      createdAt: order.createdAt,
+    },
+    pricing: {
+      subtotal: order.subtotalAmount,
+      discount: order.discountAmount,
+      promoCode: order.promoCode,
+      deliveryFee: order.deliveryFee,
+      total: order.totalAmount,
+    },
+    payment: payment && {
+      id: payment.id,
+      status: payment.status,
+      amount: payment.amount,
+      confirmationUrl: payment.confirmationUrl,
+    },
+    items: order.items,
+  };
+}
+
+module.exports = {
+  quoteOrder,
+  createOrder,
+  formatCreatedOrder,
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const prisma = require('../db');
+const { sendMail } = require('./mailer');
+const { issueTokens } = require('./authTokens');
+const { ServiceError } = require('./errors');
+const { envSecret } = require('./secrets');
+
+const OTP_SECRET = envSecret('OTP_SECRET', 'JWT_SECRET');
+const CODE_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '10');
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_CODES_PER_HOUR = 5;
+
+const userSelect = {
+  id: true,
+  email: true,
+  name: true,
+  phone: true,
+  createdAt: true,
+};
+
+function hashCode(email, code) {
+  return crypto.createHmac('sha256', OTP_SECRET).update(`${email}:${code}`).digest('hex');
+}
+
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+// Creates a new code for the email (invalidating older ones) and mails it
+async function requestLoginCode(rawEmail) {
+  const email = normalizeEmail(rawEmail);
+  const now = Date.now();
+
+  const recentCodes = await prisma.loginCode.findMany({
+    where: { email, createdAt: { gte: new Date(now - 60 * 60 * 1000) } },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
+  });
+
+  if (recentCodes.length > 0) {
+    const secondsSinceLast = (now - recentCodes[0].createdAt.getTime()) / 1000;
+    if (secondsSinceLast < RESEND_COOLDOWN_SECONDS) {
+      throw new ServiceError('Code was sent recently, please wait', 429, {
+        retryAfter: Math.ceil(RESEND_COOLDOWN_SECONDS - secondsSinceLast),
+      });
+    }
+  }
+  if (recentCodes.length >= MAX_CODES_PER_HOUR) {
+    throw new ServiceError('Too many codes requested, try again later', 429);
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await prisma.$transaction([
+    prisma.loginCode.updateMany({
+      where: { email, consumedAt: null },
+      data: { consumedAt: new Date() },
+    }),
+    prisma.loginCode.create({
+      data: {
+        email,
+        codeHash: hashCode(email, code),
+        expiresAt: new Date(now + CODE_TTL_MINUTES * 60 * 1000),
+      },
+    }),
+  ]);
+
+  await sendMail({
+    to: email,
+    subject: `Код для входа: ${code}`,
+    text: `Ваш код для входа в Oil Market: ${code}\n\nКод действует ${CODE_TTL_MINUTES} минут. Если вы не запрашивали код, просто проигнорируйте это письмо.`,
+  });
+
+  return { expiresInMinutes: CODE_TTL_MINUTES };
+}
+
+// Checks the code, creates the user on first login and links guest orders
+// placed with the same email. Returns the user and a token pair.
+async function verifyLoginCode(rawEmail, code) {
+  const email = normalizeEmail(rawEmail);
+
+  const loginCode = await prisma.loginCode.findFirst({
+    where: { email, consumedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  if (!loginCode) {
+    throw new ServiceError('Code expired or not found', 400);
+  }
+
+  // Reserve the attempt before comparing, so parallel guesses can't all
+  // get past the limit
+  const { count: reserved } = await prisma.loginCode.updateMany({
+    where: { id: loginCode.id, consumedAt: null, attempts: { lt: MAX_ATTEMPTS } },
+    data: { attempts: { increment: 1 } },
+  });
+  if (reserved === 0) {
+    throw new ServiceError('Too many attempts, request a new code', 429);
+  }
+
+  const expected = Buffer.from(loginCode.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(email, code), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const { attempts } = await prisma.loginCode.findUnique({
+      where: { id: loginCode.id },
+      select: { attempts: true },
+    });
+    throw new ServiceError('Invalid code', 400, {
+      attemptsLeft: Math.max(MAX_ATTEMPTS - attempts, 0),
+    });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Conditional update so the same code can't be used twice in parallel
+    const { count } = await tx.loginCode.updateMany({
+      where: { id: loginCode.id, consumedAt: null },
+      data: { consumedAt: new Date() },
+    });
+    if (count === 0) {
+      throw new ServiceError('Code expired or not found', 400);
+    }
+
+    // Accounts registered before emails were lowercased keep their casing
+    const user = await tx.user.findFirst({
+      where: { email: { equals: email, mode: 'insensitive' } },
+      orderBy: { id: 'asc' },
+      select: userSelect,
+    }) || await tx.user.create({ data: { email }, select: userSelect });
+
+    const { count: linkedOrders } = await tx.order.updateMany({
+      where: {
+        userId: null,
+        email: { equals: email, mode: 'insensitive' },
+      },
+      data: { userId: user.id },
+    });
+
+    const tokens = await issueTokens(user, tx);
+    return { user, tokens, linkedOrders };
+  });
+}
+
+module.exports = {
+  requestLoginCode,
+  verifyLoginCode,
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { ServiceError } = require('../errors');
+
+// Local provider for development and tests: no money moves. The "payment
+// page" is GET /api/payments/fake/:id/complete, which signs an event the
+// same way a real provider would and feeds it to the webhook handler.
+
+// Without FAKE_PAYMENT_SECRET only this process can sign events: enough for
+// the payment page above, while nobody else can forge a webhook.
+const FAKE_PAYMENT_SECRET = process.env.FAKE_PAYMENT_SECRET || crypto.randomBytes(32).toString('hex');
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+function publicUrl() {
+  return process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 4000}`;
+}
+
+function sign(rawBody) {
+  return crypto.createHmac('sha256', FAKE_PAYMENT_SECRET).update(rawBody).digest('hex');
+}
+
+async function createPayment({ payment }) {
+  const providerPaymentId = `fake_${crypto.randomBytes(12).toString('hex')}`;
+  return {
+    providerPaymentId,
+    status: 'pending',
+    confirmationUrl: `${publicUrl()}/api/payments/fake/${providerPaymentId}/complete?amount=${payment.amount}`,
+  };
+}
+
+// Body: { event: 'payment.succeeded' | 'payment.failed' | 'payment.cancelled', paymentId }
+function parseWebhook({ rawBody, headers }) {
+  if (!rawBody) {
+    throw new ServiceError('Webhook body is required', 400);
+  }
+  const signature = headers[SIGNATURE_HEADER];
+  const expected = sign(rawBody);
+  if (!signature || signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new ServiceError('Invalid webhook signature', 401);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString());
+  } catch (err) {
+    throw new ServiceError('Webhook body is not valid JSON', 400);
+  }
+  if (!body || typeof body.paymentId !== 'string') {
+    throw new ServiceError('Webhook paymentId is required', 400);
+  }
+
+  const status = {
+    'payment.succeeded': 'succeeded',
+    'payment.failed': 'failed',
+    'payment.cancelled': 'cancelled',
+  }[body.event];
+  if (!status) {
+    throw new ServiceError(`Unsupported event ${body.event}`, 400);
+  }
+
+  return { providerPaymentId: body.paymentId, status };
+}
+
+async function refund() {
+  return {
+    providerRefundId: `fake_refund_${crypto.randomBytes(12).toString('hex')}`,
+    status: 'succeeded',
+  };
+}
+
+// Signed webhook request for a payment, as the provider would send it
+function buildWebhook(providerPaymentId, status) {
+  const rawBody = Buffer.from(JSON.stringify({ event: `payment.${status}`, paymentId: providerPaymentId }));
+  return {
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: sign(rawBody) },
+  };
+}
+
+module.exports = {
+  name: 'fake',
+  createPayment,
+  parseWebhook,
+  refund,
+  buildWebhook,
+};
@@ -0,0 +1,277 @@
+const prisma = require('../../db');
+const { ServiceError } = require('../errors');
+const { roundMoney } = require('../promo');
+const { applyStatusChange } = require('../orderStatus');
+const { notifyOrderStatusChanged } = require('../notifications');
+const fake = require('./fake');
+
+// Payment providers. Each one implements:
+//   createPayment({ payment, order })       → { providerPaymentId, status, confirmationUrl }
+//   parseWebhook({ rawBody, headers })      → { providerPaymentId, status }, throws on a bad signature
+//   refund({ payment, amount })             → { providerRefundId, status }
+// The fake provider takes no money and is never registered in production.
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const PROVIDERS = {
+  ...(!IS_PRODUCTION && { [fake.name]: fake }),
+};
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || (IS_PRODUCTION ? null : 'fake');
+
+// Without a configured provider the shop still runs, only card orders are refused
+function cardPaymentsAvailable() {
+  return Boolean(PAYMENT_PROVIDER && PROVIDERS[PAYMENT_PROVIDER]);
+}
+
+// Where the provider sends the customer back after paying
+function returnUrlFor(order) {
+  const template = process.env.PAYMENT_RETURN_URL || 'http://localhost:3000/orders/{trackingNumber}';
+  return template.replace('{trackingNumber}', encodeURIComponent(order.trackingNumber));
+}
+
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new ServiceError(`Unknown payment provider ${name}`, 404);
+  }
+  return provider;
+}
+
+// Starts a card payment for the order, or returns the one still in progress
+async function createPayment(orderId) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) {
+    throw new ServiceError('Order not found', 404);
+  }
+  if (order.paymentMethod !== 'card') {
+    throw new ServiceError('Order is not paid online', 400);
+  }
+  if (order.status === 'cancelled') {
+    throw new ServiceError('Order is cancelled', 409);
+  }
+  if (!['pending', 'failed'].includes(order.paymentStatus)) {
+    throw new ServiceError('Order is already paid', 409, { paymentStatus: order.paymentStatus });
+  }
+
+  const inProgress = await prisma.payment.findFirst({
+    where: { orderId, status: 'pending', confirmationUrl: { not: null } },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (inProgress) {
+    return inProgress;
+  }
+
+  if (!cardPaymentsAvailable()) {
+    throw new ServiceError('Card payments are not available', 503);
+  }
+
+  const provider = getProvider(PAYMENT_PROVIDER);
+  const payment = await prisma.payment.create({
+    data: {
+      orderId,
+      provider: provider.name,
+      amount: order.totalAmount,
+      returnUrl: returnUrlFor(order),
+    },
+  });
+
+  let result;
+  try {
+    result = await provider.createPayment({ payment, order });
+  } catch (err) {
+    console.error('Payment provider error:', err);
+    await prisma.payment.update({ where: { id: payment.id }, data: { status: 'failed' } });
+    throw new ServiceError('Payment provider is unavailable, try again later', 502);
+  }
+
+  const [updated] = await prisma.$transaction([
+    prisma.payment.update({
+      where: { id: payment.id },
+      data: {
+        providerPaymentId: result.providerPaymentId,
+        status: result.status,
+        confirmationUrl: result.confirmationUrl,
+      },
+    }),
+    prisma.order.update({
+      where: { id: orderId },
+      data: { paymentStatus: 'pending' },
+    }),
+  ]);
+  return updated;
+}
+
+// Starts the payment right after checkout. A provider failure doesn't fail
+// the order: the customer can retry from the order page.
+async function startOrderPayment(order) {
+  if (order.paymentMethod !== 'card') return null;
+
+  try {
+    return await createPayment(order.id);
+  } catch (err) {
+    console.error('Start payment error:', err);
+    return null;
+  }
+}
+
+// Applies a provider notification. Repeated and late events are ignored:
+// a payment leaves `pending` only once.
+async function handleWebhook(providerName, { rawBody, headers }) {
+  const provider = getProvider(providerName);
+  const event = provider.parseWebhook({ rawBody, headers });
+
+  const result = await prisma.$transaction(async (tx) => {
+    const payment = await tx.payment.findUnique({
+      where: {
+        provider_providerPaymentId: {
+          provider: provider.name,
+          providerPaymentId: event.providerPaymentId,
+        },
+      },
+    });
+    if (!payment) {
+      throw new ServiceError('Payment not found', 404);
+    }
+
+    const paidAt = event.status === 'succeeded' ? new Date() : null;
+    const { count } = await tx.payment.updateMany({
+      where: { id: payment.id, status: 'pending' },
+      data: { status: event.status, paidAt },
+    });
+    if (count === 0) {
+      return { payment, statusChanged: false };
+    }
+
+    if (event.status !== 'succeeded') {
+      // Only if no other attempt for the order is still open
+      const open = await tx.payment.count({
+        where: { orderId: payment.orderId, status: { in: ['pending', 'succeeded'] } },
+      });
+      if (open === 0) {
+        await tx.order.updateMany({
+          where: { id: payment.orderId, paymentStatus: 'pending' },
+          data: { paymentStatus: 'failed' },
+        });
+      }
+      return { payment, statusChanged: false };
+    }
+
+    const order = await tx.order.update({
+      where: { id: payment.orderId },
+      data: { paymentStatus: 'paid', paidAt },
+    });
+
+    // A payment for an order cancelled meanwhile stays recorded for a refund
+    if (order.status !== 'new') {
+      return { payment, statusChanged: false };
+    }
+
+    await applyStatusChange(tx, order.id, 'processing', { comment: 'Payment received' });
+    return { payment, statusChanged: true };
+  });
+
+  if (result.statusChanged) {
+    const order = await prisma.order.findUnique({
+      where: { id: result.payment.orderId },
+      include: { user: { select: { email: true, name: true } } },
+    });
+    notifyOrderStatusChanged(order)
+      .catch(err => console.error('Order notification error:', err));
+  }
+
+  return result.payment;
+}
+
+// Refunds part or all of the order's paid amount through the provider.
+// Order.refundedAmount is the total given back for the order, by returns or
+// here, so the refund is capped by and recorded on it as well.
+async function refundPayment(orderId, { amount, reason = null, adminId = null }) {
+  const payment = await prisma.payment.findFirst({
+    where: { orderId, status: 'succeeded' },
+    orderBy: { createdAt: 'desc' },
+    include: { order: true },
+  });
+  if (!payment) {
+    throw new ServiceError('Order has no completed payment', 409);
+  }
+
+  const { order } = payment;
+  const refundable = roundMoney(Math.min(
+    payment.amount - payment.refundedAmount,
+    order.totalAmount - order.refundedAmount,
+  ));
+  const refundAmount = amount !== undefined ? amount : refundable;
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw new ServiceError(`Refund exceeds the refundable amount of ${refundable}`, 400, { refundable });
+  }
+
+  // Reserve the amount first so parallel refunds and returns can't exceed
+  // the payment or the order
+  await prisma.$transaction(async (tx) => {
+    const { count: paymentReserved } = await tx.payment.updateMany({
+      where: { id: payment.id, refundedAmount: payment.refundedAmount },
+      data: { refundedAmount: { increment: refundAmount } },
+    });
+    const { count: orderReserved } = await tx.order.updateMany({
+      where: { id: orderId, refundedAmount: order.refundedAmount },
+      data: { refundedAmount: { increment: refundAmount } },
+    });
+    if (paymentReserved === 0 || orderReserved === 0) {
+      throw new ServiceError('Payment was changed by someone else, reload and retry', 409);
+    }
+  });
+
+  let result;
+  try {
+    result = await getProvider(payment.provider).refund({ payment, amount: refundAmount });
+  } catch (err) {
+    console.error('Payment refund error:', err);
+    result = { providerRefundId: null, status: 'failed' };
+  }
+
+  const refunded = result.status === 'succeeded';
+  const fullyRefunded = refunded && roundMoney(payment.refundedAmount + refundAmount) >= payment.amount;
+
+  const refund = await prisma.$transaction(async (tx) => {
+    if (refunded) {
+      await tx.order.update({
+        where: { id: orderId },
+        data: { paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded' },
+      });
+    } else {
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: { refundedAmount: { decrement: refundAmount } },
+      });
+      await tx.order.update({
+        where: { id: orderId },
+        data: { refundedAmount: { decrement: refundAmount } },
+      });
+    }
+
+    return tx.paymentRefund.create({
+      data: {
+        paymentId: payment.id,
+        amount: refundAmount,
+        providerRefundId: result.providerRefundId,
+        status: result.status,
+        reason,
+        adminId,
+      },
+    });
+  });
+
+  if (!refunded) {
+    throw new ServiceError('Payment provider rejected the refund', 502, { refundId: refund.id });
+  }
+  return refund;
+}
+
+module.exports = {
+  PROVIDERS,
+  cardPaymentsAvailable,
+  getProvider,
+  createPayment,
+  startOrderPayment,
+  handleWebhook,
+  refundPayment,
+};
@@ -0,0 +1,133 @@
+const prisma = require('../db');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.PRICE_SCHEDULER_INTERVAL_MS || '60000');
+
+function isSaleActive(product, now = new Date()) {
+  return product.salePrice !== null && product.salePrice !== undefined
+    && product.salePrice < product.price
+    && (!product.saleStartsAt || product.saleStartsAt <= now)
+    && (!product.saleEndsAt || product.saleEndsAt > now);
+}
+
+// Price the customer pays right now
+function getEffectivePrice(product, now = new Date()) {
+  return isSaleActive(product, now) ? product.salePrice : product.price;
+}
+
+// Adds effectivePrice / compareAtPrice / onSale to a product for API responses.
+// compareAtPrice is the regular price to show struck through during a sale.
+function withPricing(product, now = new Date()) {
+  const onSale = isSaleActive(product, now);
+  return {
+    ...product,
+    effectivePrice: onSale ? product.salePrice : product.price,
+    compareAtPrice: onSale ? product.price : null,
+    onSale,
+  };
+}
+
+// Prisma filter for products with a sale running now
+function onSaleWhere(now = new Date()) {
+  return {
+    salePrice: { not: null },
+    AND: [
+      { OR: [{ saleStartsAt: null }, { saleStartsAt: { lte: now } }] },
+      { OR: [{ saleEndsAt: null }, { saleEndsAt: { gt: now } }] },
+    ],
+  };
+}
+
+const PRICE_FIELDS = ['price', 'salePrice', 'saleStartsAt', 'saleEndsAt'];
+
+function priceChanged(before, after) {
+  return PRICE_FIELDS.some(field => {
+    const a = before[field] instanceof Date ? before[field].getTime() : before[field];
+    const b = after[field] instanceof Date ? after[field].getTime() : after[field];
+    return a !== b;
+  });
+}
+
+async function recordPriceHistory(db, product, { source, adminId = null }) {
+  return db.priceHistory.create({
+    data: {
+      productId: product.id,
+      price: product.price,
+      salePrice: product.salePrice,
+      saleStartsAt: product.saleStartsAt,
+      saleEndsAt: product.saleEndsAt,
+      source,
+      adminId,
+    },
+  });
+}
+
+// Applies scheduled price changes whose time has come
+async function applyDuePriceChanges() {
+  const due = await prisma.scheduledPriceChange.findMany({
+    where: {
+      appliedAt: null,
+      cancelledAt: null,
+      effectiveAt: { lte: new Date() },
+    },
+    orderBy: { effectiveAt: 'asc' },
+  });
+
+  for (const change of due) {
+    await prisma.$transaction(async (tx) => {
+      // Claim first so a second instance doesn't apply it twice
+      const { count } = await tx.scheduledPriceChange.updateMany({
+        where: { id: change.id, appliedAt: null, cancelledAt: null },
+        data: { appliedAt: new Date() },
+      });
+      if (count === 0) return;
+
+      const product = await tx.product.update({
+        where: { id: change.productId },
+        data: { price: change.price },
+      });
+      await recordPriceHistory(tx, product, { source: 'scheduled', adminId: change.adminId });
+    });
+  }
+
+  return due.length;
+}
+
+let schedulerTimer = null;
+
+function startPriceScheduler() {
+  if (schedulerTimer) return;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await applyDuePriceChanges();
+    } catch (err) {
+      console.error('Price scheduler error:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+}
+
+function stopPriceScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  isSaleActive,
+  getEffectivePrice,
+  withPricing,
+  onSaleWhere,
+  priceChanged,
+  recordPriceHistory,
+  applyDuePriceChanges,
+  startPriceScheduler,
+  stopPriceScheduler,
+};
@@ -0,0 +1,385 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../db');
+const { parseAttributeFilters } = require('./attributes');
+const { roundMoney } = require('./promo');
+const { parseSearchQuery } = require('./searchQuery');
+
+// Product list search and facets. Filters are turned into SQL conditions
+// once; every facet is counted with GROUP BY against all active filters
+// except its own, so picking a brand still shows the other brands.
+
+// 'relevance' needs a search query; without one the newest come first
+const SORT_FIELDS = ['relevance', 'name', 'price', 'createdAt', 'brand', 'type'];
+const HISTOGRAM_BUCKETS = 10;
+
+// Multi-select filters (brand=Shell,Castrol): query parameter → column and
+// the key of the facet in the response
+const FACETS = {
+  brand: { column: 'brand', key: 'brands' },
+  type: { column: 'type', key: 'types' },
+  viscosity: { column: 'viscosity', key: 'viscosities' },
+  application: { column: 'application', key: 'applications' },
+  volume: { column: 'volume_ml', key: 'volumes', numeric: true },
+};
+
+// Price the customer pays right now, by the same rule as isSaleActive in
+// pricing.js. Price filters, sorting and the price facet all use it.
+const EFFECTIVE_PRICE = Prisma.sql`(CASE
+  WHEN p."salePrice" IS NOT NULL AND p."salePrice" < p."price"
+    AND (p."saleStartsAt" IS NULL OR p."saleStartsAt" <= NOW())
+    AND (p."saleEndsAt" IS NULL OR p."saleEndsAt" > NOW())
+  THEN p."salePrice" ELSE p."price" END)`;
+
+function listParam(value) {
+  if (value === undefined || value === null || typeof value === 'object' && !Array.isArray(value)) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return [...new Set(values.flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean))];
+}
+
+function priceParam(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// Query string of GET /api/products → filters
+function parseProductFilters(query, definitions) {
+  const facets = {};
+  for (const [param, facet] of Object.entries(FACETS)) {
+    let values = listParam(query[param]);
+    if (facet.numeric) values = values.map(value => parseInt(value)).filter(Number.isFinite);
+    if (values.length > 0) facets[param] = values;
+  }
+
+  const search = typeof query.q === 'string' ? parseSearchQuery(query.q) : null;
+
+  return {
+    search: search && search.terms.length > 0 ? search : null,
+    facets,
+    minPrice: priceParam(query.minPrice),
+    maxPrice: priceParam(query.maxPrice),
+    inStock: query.inStock === 'true' || query.inStock === 'false' ? query.inStock === 'true' : null,
+    attributes: parseAttributeFilters(definitions, query),
+  };
+}
+
+// tsquery of one search term: Russian and English stems (the russian
+// configuration stems Latin words as English) and the unstemmed spelling,
+// all as prefixes, so "масло" finds "масла" and "hel" finds "Helix"
+function termQuery({ term, latin }) {
+  const spellings = latin ? [term, latin] : [term];
+  return Prisma.join(spellings.flatMap(spelling => [
+    Prisma.sql`to_tsquery('russian', ${`${spelling}:*`})`,
+    Prisma.sql`to_tsquery('simple', ${`${spelling}:*`})`,
+  ]), ' || ');
+}
+
+// Terms that no product contains are taken for typos. Only those are matched
+// by trigram similarity: unlike full-text search it costs a lot per row, and
+// a common word ("масло") would otherwise have it run across the catalogue.
+async function checkSpelling(search) {
+  if (!search || search.terms.length === 0) return search;
+
+  const [{ found }] = await prisma.$queryRaw`
+    SELECT ARRAY[${Prisma.join(search.terms.map(term => Prisma.sql`
+      numnode(plainto_tsquery('russian', ${term.term})) = 0
+      OR EXISTS (SELECT 1 FROM "Product" p WHERE p."searchVector" @@ (${termQuery(term)}))`))}] AS "found"
+  `;
+  return { ...search, terms: search.terms.map((term, i) => ({ ...term, typo: !found[i] })) };
+}
+
+// Every term has to match: by full-text search or, for a typo, by trigram
+// similarity to the name or brand. Stop words ("для") match anything.
+function searchCondition(search) {
+  return Prisma.join(search.terms.map(term => {
+    const match = term.typo
+      ? Prisma.join([term.term, term.latin].filter(Boolean)
+        .map(spelling => Prisma.sql`${spelling} <% p."name" OR ${spelling} <% p."brand"`), ' OR ')
+      : Prisma.sql`p."searchVector" @@ (${termQuery(term)})`;
+    return Prisma.sql`(numnode(plainto_tsquery('russian', ${term.term})) = 0 OR ${match})`;
+  }), ' AND ');
+}
+
+// Full-text rank plus how close the name is to the whole query
+function relevance(search) {
+  const similarity = [search.text, search.latin].filter(Boolean)
+    .map(text => Prisma.sql`word_similarity(${text}, p."name")`);
+  return Prisma.sql`(ts_rank(p."searchVector", ${Prisma.join(search.terms.map(termQuery), ' || ')})
+    + GREATEST(${Prisma.join(similarity)}))`;
+}
+
+function attributeCondition({ definition, values, range, boolean }) {
+  let match;
+  if (values) {
+    match = Prisma.sql`lower(a."valueText") IN (${Prisma.join(values.map(value => value.toLowerCase()))})`;
+  } else if (range) {
+    const bounds = [];
+    if (range.gte !== undefined) bounds.push(Prisma.sql`a."valueNumber" >= ${range.gte}`);
+    if (range.lte !== undefined) bounds.push(Prisma.sql`a."valueNumber" <= ${range.lte}`);
+    if (range.equals !== undefined) bounds.push(Prisma.sql`a."valueNumber" = ${range.equals}`);
+    match = Prisma.join(bounds, ' AND ');
+  } else {
+    match = Prisma.sql`a."valueBoolean" = ${boolean}`;
+  }
+
+  return Prisma.sql`EXISTS (
+    SELECT 1 FROM "ProductAttribute" a
+    WHERE a."productId" = p."id" AND a."attributeId" = ${definition.id} AND ${match}
+  )`;
+}
+
+// SQL conditions on "Product" p. `except` leaves out one filter: a facet
+// parameter, 'price' or 'attribute:<code>'.
+function filterConditions(filters, except = null) {
+  const conditions = [];
+  if (filters.search) conditions.push(searchCondition(filters.search));
+
+  for (const [param, values] of Object.entries(filters.facets)) {
+    if (param === except) continue;
+    const column = Prisma.raw(`p."${FACETS[param].column}"`);
+    conditions.push(Prisma.sql`${column} IN (${Prisma.join(values)})`);
+  }
+
+  if (except !== 'price') {
+    if (filters.minPrice !== undefined) conditions.push(Prisma.sql`${EFFECTIVE_PRICE} >= ${filters.minPrice}`);
+    if (filters.maxPrice !== undefined) conditions.push(Prisma.sql`${EFFECTIVE_PRICE} <= ${filters.maxPrice}`);
+  }
+
+  if (filters.inStock === true) conditions.push(Prisma.sql`p."stock" > 0`);
+  if (filters.inStock === false) conditions.push(Prisma.sql`p."stock" = 0`);
+
+  for (const filter of filters.attributes) {
+    if (`attribute:${filter.definition.code}` !== except) conditions.push(attributeCondition(filter));
+  }
+
+  return conditions;
+}
+
+// A search as the customer typed it, not narrowed by any other filter
+function isPlainSearch(filters) {
+  return Boolean(filters.search)
+    && Object.keys(filters.facets).length === 0
+    && filters.minPrice === undefined
+    && filters.maxPrice === undefined
+    && filters.attributes.length === 0;
+}
+
+function whereSql(conditions) {
+  return conditions.length > 0 ? Prisma.sql`WHERE ${Prisma.join(conditions, ' AND ')}` : Prisma.empty;
+}
+
+// One page of products matching the filters, and their total count
+async function searchProducts(filters, { sortBy = 'createdAt', sortOrder = 'desc', page = 1, limit = 12 } = {}) {
+  let orderBy;
+  if (sortBy === 'relevance' && filters.search) {
+    orderBy = Prisma.sql`${relevance(filters.search)} DESC, p."id" DESC`;
+  } else {
+    const sortField = SORT_FIELDS.includes(sortBy) && sortBy !== 'relevance' ? sortBy : 'createdAt';
+    const sortDirection = Prisma.raw(sortOrder === 'asc' ? 'ASC' : 'DESC');
+    const sortColumn = sortField === 'price' ? EFFECTIVE_PRICE : Prisma.raw(`p."${sortField}"`);
+    orderBy = Prisma.sql`${sortColumn} ${sortDirection} NULLS LAST, p."id" ${sortDirection}`;
+  }
+  const where = whereSql(filterConditions(filters));
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT p."id" FROM "Product" p
+      ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}
+    `,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS "total" FROM "Product" p ${where}`,
+  ]);
+
+  const ids = rows.map(row => row.id);
+  const products = await prisma.product.findMany({ where: { id: { in: ids } } });
+  const byId = new Map(products.map(product => [product.id, product]));
+  return { products: ids.map(id => byId.get(id)).filter(Boolean), total };
+}
+
+function columnFacet(filters, param) {
+  const { column } = FACETS[param];
+  const selected = filters.facets[param] || [];
+  const columnSql = Prisma.raw(`p."${column}"`);
+  const conditions = [...filterConditions(filters, param), Prisma.sql`${columnSql} IS NOT NULL`];
+
+  return prisma.$queryRaw`
+    SELECT ${columnSql} AS "value", COUNT(*)::int AS "count"
+    FROM "Product" p
+    ${whereSql(conditions)}
+    GROUP BY 1
+    ORDER BY 1
+  `.then(rows => rows.map(row => ({
+    value: row.value,
+    count: row.count,
+    selected: selected.includes(row.value),
+  })));
+}
+
+// Per attribute: text values and boolean values with product counts, or
+// the min/max of a number. Case variants of a text value are one value.
+function attributeStats(filters, ids, except) {
+  if (ids.length === 0) return Promise.resolve([]);
+  const conditions = [Prisma.sql`pa."attributeId" IN (${Prisma.join(ids)})`, ...filterConditions(filters, except)];
+
+  return prisma.$queryRaw`
+    SELECT pa."attributeId",
+           MIN(pa."valueText") AS "text",
+           bool_or(pa."valueBoolean") AS "boolean",
+           MIN(pa."valueNumber") AS "min",
+           MAX(pa."valueNumber") AS "max",
+           COUNT(DISTINCT pa."productId")::int AS "count"
+    FROM "ProductAttribute" pa
+    JOIN "Product" p ON p."id" = pa."productId"
+    ${whereSql(conditions)}
+    GROUP BY pa."attributeId", lower(pa."valueText"), pa."valueBoolean"
+  `;
+}
+
+async function attributeFacets(filters, definitions) {
+  const filterable = definitions.filter(definition => definition.isFilterable);
+  const active = new Map(filters.attributes.map(filter => [filter.definition.id, filter]));
+
+  // Attributes without a filter of their own share one query
+  const [shared, ...own] = await Promise.all([
+    attributeStats(filters, filterable.filter(definition => !active.has(definition.id)).map(definition => definition.id)),
+    ...[...active.values()].map(filter => attributeStats(filters, [filter.definition.id], `attribute:${filter.definition.code}`)),
+  ]);
+  const stats = [...shared, ...own.flat()];
+
+  return filterable
+    .map(definition => {
+      const rows = stats.filter(row => row.attributeId === definition.id);
+      const filter = active.get(definition.id);
+      const facet = {
+        code: definition.code,
+        name: definition.name,
+        type: definition.type,
+        unit: definition.unit,
+      };
+
+      if (definition.type === 'number') {
+        const numbers = rows.filter(row => row.min !== null);
+        if (numbers.length === 0) return null;
+        return {
+          ...facet,
+          min: Math.min(...numbers.map(row => row.min)),
+          max: Math.max(...numbers.map(row => row.max)),
+          selected: filter ? filter.range : null,
+        };
+      }
+
+      const selected = filter && filter.values ? filter.values.map(value => value.toLowerCase()) : [];
+      const values = rows
+        .map(row => {
+          const value = definition.type === 'boolean' ? row.boolean : row.text;
+          return {
+            value,
+            count: row.count,
+            selected: definition.type === 'boolean'
+              ? Boolean(filter) && filter.boolean === value
+              : selected.includes(String(value).toLowerCase()),
+          };
+        })
+        .filter(row => row.value !== null)
+        .sort((a, b) => String(a.value).localeCompare(String(b.value), 'ru'));
+      return values.length > 0 ? { ...facet, values } : null;
+    })
+    .filter(Boolean);
+}
+
+function groupSuggestions(column, condition, limit) {
+  const columnSql = Prisma.raw(`p."${column}"`);
+  return prisma.$queryRaw`
+    SELECT ${columnSql} AS "value", COUNT(*)::int AS "count"
+    FROM "Product" p
+    ${whereSql([condition, Prisma.sql`${columnSql} IS NOT NULL`])}
+    GROUP BY 1
+    ORDER BY 2 DESC, 1
+    LIMIT ${limit}
+  `;
+}
+
+// Search box suggestions: brands and viscosities of the matching products,
+// and the best matches themselves (in stock first) with a thumbnail
+async function suggestProducts(search, limit) {
+  const checked = await checkSpelling(search);
+  const condition = searchCondition(checked);
+
+  const [brands, viscosities, products] = await Promise.all([
+    groupSuggestions('brand', condition, limit),
+    groupSuggestions('viscosity', condition, limit),
+    prisma.$queryRaw`
+      SELECT p."id", p."sku", p."name", p."brand", p."viscosity", p."volume_ml",
+             p."price", p."salePrice", p."saleStartsAt", p."saleEndsAt", p."stock",
+             p."images"[1] AS "thumbnail"
+      FROM "Product" p
+      ${whereSql([condition])}
+      ORDER BY (p."stock" > 0) DESC, ${relevance(checked)} DESC, p."id" DESC
+      LIMIT ${limit}
+    `,
+  ]);
+
+  return { brands, viscosities, products };
+}
+
+// 1, 2 or 5 × 10ⁿ, so bucket bounds are round numbers
+function niceStep(span) {
+  if (!(span > 0)) return 1;
+  const raw = span / HISTOGRAM_BUCKETS;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].find(factor => factor * magnitude >= raw) * magnitude;
+}
+
+// Price range and histogram of the products matching every filter but price
+async function priceFacet(filters) {
+  const where = whereSql(filterConditions(filters, 'price'));
+  const [range] = await prisma.$queryRaw`
+    SELECT MIN(${EFFECTIVE_PRICE}) AS "min", MAX(${EFFECTIVE_PRICE}) AS "max" FROM "Product" p ${where}
+  `;
+  if (range.min === null) {
+    return { priceRange: { min: 0, max: 0 }, priceHistogram: [] };
+  }
+
+  const step = niceStep(range.max - range.min);
+  const buckets = await prisma.$queryRaw`
+    SELECT FLOOR(${EFFECTIVE_PRICE} / ${step}) AS "bucket", COUNT(*)::int AS "count"
+    FROM "Product" p
+    ${where}
+    GROUP BY 1
+    ORDER BY 1
+  `;
+
+  return {
+    priceRange: { min: range.min, max: range.max },
+    priceHistogram: buckets.map(({ bucket, count }) => ({
+      from: roundMoney(Number(bucket) * step),
+      to: roundMoney((Number(bucket) + 1) * step),
+      count,
+    })),
+  };
+}
+
+// The `filters` block of the product list
+async function productFacets(filters, definitions) {
+  const [columns, attributes, price] = await Promise.all([
+    Promise.all(Object.keys(FACETS).map(param => columnFacet(filters, param))),
+    attributeFacets(filters, definitions),
+    priceFacet(filters),
+  ]);
+
+  const facets = {};
+  Object.values(FACETS).forEach(({ key }, index) => {
+    facets[key] = columns[index];
+  });
+  return { ...facets, attributes, ...price };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  parseProductFilters,
+  checkSpelling,
+  isPlainSearch,
+  searchProducts,
+  productFacets,
+  suggestProducts,
+};
@@ -0,0 +1,258 @@
+const prisma = require('../db');
+const Joi = require('joi');
+const { ServiceError } = require('./errors');
+const { productSchema } = require('../middleware/validation');
+const { priceChanged, recordPriceHistory } = require('./pricing');
+const { getDefaultWarehouse, receiveStock } = require('./inventory');
+const { createSheetWriter, findInBatches } = require('./spreadsheets');
+const { lowStockWhere } = require('./lowStock');
+const {
+  loadAttributeDefinitions,
+  parseAttributeInput,
+  saveProductAttributes,
+} = require('./attributes');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Product columns in import/export files. Any other column is a
+// characteristic (api, acea, sae, ...).
+const PRODUCT_FIELDS = [
+  'sku',
+  'name',
+  'description',
+  'brand',
+  'type',
+  'viscosity',
+  'volume_ml',
+  'application',
+  'price',
+  'salePrice',
+  'saleStartsAt',
+  'saleEndsAt',
+  'stock',
+  'reorderThreshold',
+  'reorderQuantity',
+  'images',
+];
+
+const NUMERIC_FIELDS = ['volume_ml', 'price', 'salePrice', 'stock', 'reorderThreshold', 'reorderQuantity'];
+
+// Column names used in supplier price lists
+const COLUMN_ALIASES = {
+  'артикул': 'sku',
+  'наименование': 'name',
+  'название': 'name',
+  'описание': 'description',
+  'бренд': 'brand',
+  'производитель': 'brand',
+  'тип': 'type',
+  'вязкость': 'viscosity',
+  'объем, мл': 'volume_ml',
+  'объём, мл': 'volume_ml',
+  'назначение': 'application',
+  'цена': 'price',
+  'цена по акции': 'salePrice',
+  'остаток': 'stock',
+  'минимальный остаток': 'reorderThreshold',
+  'кол-во для заказа': 'reorderQuantity',
+  'изображения': 'images',
+};
+
+const importSchema = productSchema.keys({
+  sku: Joi.string().trim().max(100).required(),
+});
+
+function fieldFor(header) {
+  if (PRODUCT_FIELDS.includes(header)) return header;
+  return COLUMN_ALIASES[header.toLowerCase()] || null;
+}
+
+// Spreadsheet row → object for productSchema. Decimal commas are accepted
+// in numbers; images are separated by "|".
+function rowToProduct(values) {
+  const product = {};
+  const characteristics = {};
+
+  for (const [header, raw] of Object.entries(values)) {
+    if (raw === '' || raw === undefined) continue;
+
+    const field = fieldFor(header);
+    if (field === 'images') {
+      product.images = raw.split('|').map(url => url.trim()).filter(Boolean);
+    } else if (NUMERIC_FIELDS.includes(field)) {
+      product[field] = raw.replace(/\s/g, '').replace(',', '.');
+    } else if (field) {
+      product[field] = raw;
+    } else {
+      characteristics[header] = /^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : raw;
+    }
+  }
+
+  if (Object.keys(characteristics).length > 0) {
+    product.characteristics = characteristics;
+  }
+  return product;
+}
+
+// Validates every row and, unless it's a dry run, creates or updates the
+// products by sku. Nothing is written if any row is invalid.
+// Stock is only taken for new products, as their initial receipt.
+async function importProducts(rows, { dryRun = false, adminId = null } = {}) {
+  if (rows.length === 0) {
+    throw new ServiceError('File has no product rows', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ServiceError(`File has more than ${MAX_IMPORT_ROWS} rows`, 400);
+  }
+
+  const definitions = await loadAttributeDefinitions(prisma);
+  const errors = [];
+  const valid = [];
+  const rowBySku = new Map();
+
+  for (const row of rows) {
+    const { error, value } = importSchema.validate(rowToProduct(row.values), { abortEarly: false });
+    if (error) {
+      errors.push({
+        row: row.rowNumber,
+        sku: row.values.sku || null,
+        errors: error.details.map(detail => detail.message),
+      });
+      continue;
+    }
+    // Characteristic columns named after an attribute are typed values
+    const attributes = parseAttributeInput(definitions, value);
+    if (attributes.errors.length > 0) {
+      errors.push({ row: row.rowNumber, sku: value.sku, errors: attributes.errors });
+      continue;
+    }
+    if (rowBySku.has(value.sku)) {
+      errors.push({
+        row: row.rowNumber,
+        sku: value.sku,
+        errors: [`Duplicate sku, already in row ${rowBySku.get(value.sku)}`],
+      });
+      continue;
+    }
+    rowBySku.set(value.sku, row.rowNumber);
+    valid.push({ ...value, attributes });
+  }
+
+  const existing = await prisma.product.findMany({
+    where: { sku: { in: valid.map(product => product.sku) } },
+  });
+  const existingBySku = new Map(existing.map(product => [product.sku, product]));
+
+  const report = {
+    dryRun,
+    imported: false,
+    total: rows.length,
+    valid: valid.length,
+    toCreate: valid.filter(product => !existingBySku.has(product.sku)).length,
+    toUpdate: valid.filter(product => existingBySku.has(product.sku)).length,
+    errors,
+  };
+  if (dryRun || errors.length > 0) {
+    return report;
+  }
+
+  await prisma.$transaction(async (tx) => {
+    let warehouse = null;
+
+    for (const { stock, attributes, ...data } of valid) {
+      const before = existingBySku.get(data.sku);
+
+      if (before) {
+        if (data.characteristics) {
+          data.characteristics = { ...(before.characteristics || {}), ...data.characteristics };
+        }
+        const updated = await tx.product.update({ where: { id: before.id }, data });
+        if (priceChanged(before, updated)) {
+          await recordPriceHistory(tx, updated, { source: 'import', adminId });
+        }
+        await saveProductAttributes(tx, before.id, attributes, definitions);
+        continue;
+      }
+
+      const created = await tx.product.create({ data });
+      await recordPriceHistory(tx, created, { source: 'import', adminId });
+      await saveProductAttributes(tx, created.id, attributes, definitions);
+      if (stock > 0) {
+        warehouse = warehouse || await getDefaultWarehouse(tx);
+        await receiveStock(tx, {
+          warehouseId: warehouse.id,
+          items: [{ productId: created.id, quantity: stock }],
+          adminId,
+          comment: 'Import',
+        });
+      }
+    }
+  }, { timeout: 120000 });
+
+  return { ...report, imported: true };
+}
+
+// Filters shared by the admin product list and the export
+function buildProductWhere({ search, brand, type, inStock, lowStock }) {
+  const where = {};
+  if (search) {
+    where.OR = [
+      { name: { contains: search, mode: 'insensitive' } },
+      { sku: { contains: search, mode: 'insensitive' } },
+      { brand: { contains: search, mode: 'insensitive' } },
+    ];
+  }
+  if (brand) where.brand = brand;
+  if (type) where.type = type;
+  if (inStock === 'true') where.stock = { gt: 0 };
+  if (inStock === 'false') where.stock = 0;
+  // Under AND, so it narrows the inStock condition instead of replacing it
+  if (lowStock === 'true') where.AND = [lowStockWhere()];
+  return where;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join('|');
+  return value;
+}
+
+// Streams the catalogue in the import format, so the file can be edited
+// and uploaded back
+async function exportProducts(res, { format, where }) {
+  const findMany = args => prisma.product.findMany(args);
+
+  // First pass collects characteristic names for the columns
+  const characteristicKeys = new Set();
+  for await (const batch of findInBatches(findMany, { where, select: { id: true, characteristics: true } })) {
+    for (const product of batch) {
+      Object.keys(product.characteristics || {}).forEach(key => characteristicKeys.add(key));
+    }
+  }
+
+  const columns = [...PRODUCT_FIELDS, ...[...characteristicKeys].sort()]
+    .map(key => ({ key, header: key }));
+  const writer = createSheetWriter(res, {
+    format,
+    filename: `products-${new Date().toISOString().slice(0, 10)}`,
+    sheetName: 'Products',
+    columns,
+  });
+
+  for await (const batch of findInBatches(findMany, { where })) {
+    for (const product of batch) {
+      const row = {};
+      for (const field of PRODUCT_FIELDS) row[field] = formatCell(product[field]);
+      for (const key of characteristicKeys) row[key] = formatCell((product.characteristics || {})[key]);
+      await writer.write(row);
+    }
+  }
+  await writer.end();
+}
+
+module.exports = {
+  importProducts,
+  buildProductWhere,
+  exportProducts,
+};
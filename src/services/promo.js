@@ -0,0 +1,144 @@
+const { ServiceError } = require('./errors');
+
+const PROMO_TYPES = ['percentage', 'fixed', 'brand', 'free_delivery'];
+
+function normalizePromoCode(code) {
+  return code.trim().toUpperCase();
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Redemptions by the same customer: by account if logged in, otherwise by phone or email
+function customerRedemptionsWhere(promoCodeId, { userId, phone, email }) {
+  const OR = [];
+  if (phone) OR.push({ phone });
+  if (userId) OR.push({ userId });
+  if (email) OR.push({ email: { equals: email, mode: 'insensitive' } });
+  return OR.length > 0 ? { promoCodeId, OR } : null;
+}
+
+// Checks that the code can be used for these lines and computes the discount.
+// `lines` are [{ product, quantity, price }], `subtotal` is their sum.
+// The per-customer limit is checked for whatever of userId/phone/email is known.
+// Read-only: the usage is recorded by redeemPromoCode when the order is saved.
+async function validatePromoCode(db, rawCode, { lines, subtotal, customer }) {
+  const code = normalizePromoCode(rawCode);
+  const promo = await db.promoCode.findUnique({ where: { code } });
+  const now = new Date();
+
+  if (!promo || !promo.isActive) {
+    throw new ServiceError('Promo code not found', 400, { promoCode: code });
+  }
+  if ((promo.startsAt && promo.startsAt > now) || (promo.endsAt && promo.endsAt < now)) {
+    throw new ServiceError('Promo code is not valid at this time', 400, { promoCode: code });
+  }
+  if (promo.usageLimit !== null && promo.usedCount >= promo.usageLimit) {
+    throw new ServiceError('Promo code usage limit reached', 400, { promoCode: code });
+  }
+  if (promo.minOrderAmount !== null && subtotal < promo.minOrderAmount) {
+    throw new ServiceError(`Minimum order amount for this promo code is ${promo.minOrderAmount}`, 400, {
+      promoCode: code,
+      minOrderAmount: promo.minOrderAmount,
+    });
+  }
+  const customerWhere = customerRedemptionsWhere(promo.id, customer);
+  if (promo.perCustomerLimit !== null && customerWhere) {
+    const used = await db.promoRedemption.count({ where: customerWhere });
+    if (used >= promo.perCustomerLimit) {
+      throw new ServiceError('You have already used this promo code', 400, { promoCode: code });
+    }
+  }
+
+  let discountAmount = 0;
+  let freeDelivery = false;
+
+  switch (promo.type) {
+    case 'percentage':
+      discountAmount = subtotal * promo.value / 100;
+      break;
+    case 'fixed':
+      discountAmount = Math.min(promo.value, subtotal);
+      break;
+    case 'brand': {
+      const brandTotal = lines
+        .filter(line => line.product.brand === promo.brand)
+        .reduce((sum, line) => sum + line.price * line.quantity, 0);
+      if (brandTotal === 0) {
+        throw new ServiceError(`Promo code applies only to ${promo.brand} products`, 400, { promoCode: code });
+      }
+      discountAmount = brandTotal * promo.value / 100;
+      break;
+    }
+    case 'free_delivery':
+      freeDelivery = true;
+      break;
+    default:
+      throw new ServiceError('Promo code not found', 400, { promoCode: code });
+  }
+
+  return {
+    promo,
+    discountAmount: roundMoney(discountAmount),
+    freeDelivery,
+  };
+}
+
+// Records the use of a validated code for the order. The conditional
+// increment locks the promo row, so usage limits hold under parallel checkouts.
+async function redeemPromoCode(tx, promo, { orderId, customer, discountAmount }) {
+  const where = { id: promo.id, isActive: true };
+  if (promo.usageLimit !== null) {
+    where.usedCount = { lt: promo.usageLimit };
+  }
+
+  const { count } = await tx.promoCode.updateMany({
+    where,
+    data: { usedCount: { increment: 1 } },
+  });
+  if (count === 0) {
+    throw new ServiceError('Promo code usage limit reached', 409, { promoCode: promo.code });
+  }
+
+  // Re-checked under the row lock taken above
+  const customerWhere = customerRedemptionsWhere(promo.id, customer);
+  if (promo.perCustomerLimit !== null && customerWhere) {
+    const used = await tx.promoRedemption.count({ where: customerWhere });
+    if (used >= promo.perCustomerLimit) {
+      throw new ServiceError('You have already used this promo code', 409, { promoCode: promo.code });
+    }
+  }
+
+  return tx.promoRedemption.create({
+    data: {
+      promoCodeId: promo.id,
+      orderId,
+      userId: customer.userId || null,
+      phone: customer.phone,
+      email: customer.email || null,
+      discountAmount,
+    },
+  });
+}
+
+// Gives the use back when the order is cancelled
+async function releasePromoCode(tx, orderId) {
+  const redemption = await tx.promoRedemption.findUnique({ where: { orderId } });
+  if (!redemption) return;
+
+  await tx.promoRedemption.delete({ where: { id: redemption.id } });
+  await tx.promoCode.update({
+    where: { id: redemption.promoCodeId },
+    data: { usedCount: { decrement: 1 } },
+  });
+}
+
+module.exports = {
+  PROMO_TYPES,
+  normalizePromoCode,
+  roundMoney,
+  validatePromoCode,
+  redeemPromoCode,
+  releasePromoCode,
+};
@@ -0,0 +1,129 @@
+const prisma = require('../db');
+const { ServiceError } = require('./errors');
+const { returnToStock } = require('./inventory');
+
+// Goods can only come back after they left the warehouse
+const RETURNABLE_STATUSES = ['shipped', 'delivered'];
+
+const returnInclude = {
+  items: {
+    include: {
+      orderItem: {
+        select: { id: true, productId: true, priceEach: true },
+      },
+    },
+  },
+};
+
+// Returns selected quantities of an order to stock and records the refund.
+// A repeated request with the same idempotencyKey returns the first result
+// instead of restocking again.
+async function createReturn(orderId, { items, refundAmount, reason, idempotencyKey, adminId }) {
+  if (idempotencyKey) {
+    const existing = await prisma.orderReturn.findUnique({
+      where: { idempotencyKey },
+      include: returnInclude,
+    });
+    if (existing) {
+      if (existing.orderId !== orderId) {
+        throw new ServiceError('Idempotency key was used for another order', 409);
+      }
+      return { orderReturn: existing, created: false };
+    }
+  }
+
+  try {
+    const orderReturn = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: { items: true },
+      });
+      if (!order) {
+        throw new ServiceError('Order not found', 404);
+      }
+      if (!RETURNABLE_STATUSES.includes(order.status)) {
+        throw new ServiceError(`Cannot return items of a ${order.status} order`, 409);
+      }
+
+      let itemsTotal = 0;
+      for (const returned of items) {
+        const orderItem = order.items.find(item => item.id === returned.orderItemId);
+        if (!orderItem) {
+          throw new ServiceError(`Order item ${returned.orderItemId} not found in this order`, 400);
+        }
+
+        const available = orderItem.quantity - orderItem.returnedQuantity;
+        if (returned.quantity > available) {
+          throw new ServiceError(`Only ${available} of order item ${orderItem.id} can be returned`, 409, {
+            orderItemId: orderItem.id,
+            available,
+          });
+        }
+
+        // Conditional on the value we checked, so parallel returns can't exceed the ordered quantity
+        const { count } = await tx.orderItem.updateMany({
+          where: { id: orderItem.id, returnedQuantity: orderItem.returnedQuantity },
+          data: { returnedQuantity: { increment: returned.quantity } },
+        });
+        if (count === 0) {
+          throw new ServiceError('Order was changed by someone else, reload and retry', 409);
+        }
+
+        await returnToStock(tx, {
+          orderId,
+          productId: orderItem.productId,
+          quantity: returned.quantity,
+          adminId,
+        });
+        itemsTotal += orderItem.priceEach * returned.quantity;
+      }
+
+      const amount = refundAmount !== undefined ? refundAmount : Math.round(itemsTotal * 100) / 100;
+      const refundable = order.totalAmount - order.refundedAmount;
+      if (amount > refundable) {
+        throw new ServiceError(`Refund exceeds the refundable amount of ${refundable}`, 400, { refundable });
+      }
+
+      const { count } = await tx.order.updateMany({
+        where: { id: orderId, refundedAmount: order.refundedAmount },
+        data: { refundedAmount: { increment: amount } },
+      });
+      if (count === 0) {
+        throw new ServiceError('Order was changed by someone else, reload and retry', 409);
+      }
+
+      return tx.orderReturn.create({
+        data: {
+          orderId,
+          adminId,
+          refundAmount: amount,
+          reason,
+          idempotencyKey,
+          items: {
+            create: items.map(item => ({
+              orderItemId: item.orderItemId,
+              quantity: item.quantity,
+            })),
+          },
+        },
+        include: returnInclude,
+      });
+    });
+
+    return { orderReturn, created: true };
+  } catch (err) {
+    // Same key sent twice at the same time: the loser reports the winner's result
+    if (err.code === 'P2002' && idempotencyKey) {
+      const existing = await prisma.orderReturn.findUnique({
+        where: { idempotencyKey },
+        include: returnInclude,
+      });
+      return { orderReturn: existing, created: false };
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  createReturn,
+};
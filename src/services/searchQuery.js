@@ -0,0 +1,63 @@
+const { normalizeViscosity } = require('./oilSpecs');
+
+// Turning what a customer types into search terms: viscosity notation is
+// made compact ("5W-40", "5w 40" → "5w40", as in Product.searchVector) and
+// Cyrillic words get a Latin spelling, so "шелл" also looks for "shell".
+
+const TRANSLIT = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh',
+  'з': 'z', 'и': 'i', 'й': 'i', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+  'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'h', 'ц': 'c',
+  'ч': 'ch', 'ш': 'sh', 'щ': 'sch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu',
+  'я': 'ya',
+};
+
+const VISCOSITY_PATTERN = /(?<![\p{L}\p{N}])(?:sae\s*)?\d{1,2}\s*w\s*-?\s*\d{1,3}(?![\p{L}\p{N}])/giu;
+const CYRILLIC = /[а-яё]/;
+const MAX_TERMS = 8;
+
+// "5W-40" → "5w40"
+function compactViscosity(value) {
+  const viscosity = normalizeViscosity(value);
+  return viscosity ? viscosity.replace('-', '').toLowerCase() : null;
+}
+
+// Latin spelling of a Cyrillic word, as brands are usually written:
+// "шелл" → "shell", "хеликс" → "helix". Null for words without Cyrillic.
+function transliterate(word) {
+  if (!CYRILLIC.test(word)) return null;
+  return word
+    .replace(/кс/g, 'x')
+    .split('')
+    .map(char => (char in TRANSLIT ? TRANSLIT[char] : char))
+    .join('');
+}
+
+// Query text → { text, latin, terms: [{ term, latin }] }. `text` is the
+// whole normalized query (and `latin` its Latin spelling), for similarity
+// ranking.
+function parseSearchQuery(q) {
+  const text = String(q || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(VISCOSITY_PATTERN, match => ` ${compactViscosity(match)} `)
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const seen = new Set();
+  const terms = [];
+  for (const word of text.split(/[^\p{L}\p{N}.]+/u)) {
+    const term = word.replace(/^\.+|\.+$/g, '');
+    if (term.length < 2 || seen.has(term)) continue;
+    seen.add(term);
+    terms.push({ term, latin: transliterate(term) });
+  }
+
+  return { text, latin: transliterate(text), terms: terms.slice(0, MAX_TERMS) };
+}
+
+module.exports = {
+  compactViscosity,
+  transliterate,
+  parseSearchQuery,
+};
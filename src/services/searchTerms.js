@@ -0,0 +1,68 @@
+const prisma = require('../db');
+
+// Search queries customers submit, counted per normalized query. Feeds the
+// popular queries in suggestions and the zero-result report in admin.
+
+const MAX_QUERY_LENGTH = 200;
+// A query is suggested to everyone only after this many searches, so a
+// single visitor can't put their own text into the search box
+const POPULAR_MIN_SEARCHES = parseInt(process.env.POPULAR_QUERY_MIN_SEARCHES || '5');
+
+// Records a submitted search and how many products it found
+async function logSearch(query, search, results) {
+  const text = String(query).trim();
+  if (!search || text.length > MAX_QUERY_LENGTH) return;
+
+  const zeroResults = results === 0 ? 1 : 0;
+  try {
+    await prisma.searchTerm.upsert({
+      where: { normalized: search.text },
+      create: {
+        normalized: search.text,
+        query: text,
+        searches: 1,
+        zeroResults,
+        lastResults: results,
+      },
+      update: {
+        query: text,
+        searches: { increment: 1 },
+        zeroResults: { increment: zeroResults },
+        lastResults: results,
+        lastSearchedAt: new Date(),
+      },
+    });
+  } catch (err) {
+    // Two first searches for the same query at once: one insert wins
+    if (err.code !== 'P2002') throw err;
+  }
+}
+
+// Most searched queries that found something, starting with what's been
+// typed so far (in either spelling); the overall top without a search.
+// Suggests the normalized text, never what a customer typed.
+async function popularQueries(search, limit) {
+  const where = {
+    lastResults: { gt: 0 },
+    searches: { gte: POPULAR_MIN_SEARCHES },
+  };
+  if (search) {
+    where.OR = [search.text, search.latin].filter(Boolean)
+      .map(prefix => ({ normalized: { startsWith: prefix } }));
+  }
+
+  const terms = await prisma.searchTerm.findMany({
+    where,
+    orderBy: [{ searches: 'desc' }, { lastSearchedAt: 'desc' }],
+    take: limit,
+    select: { normalized: true, searches: true },
+  });
+  return terms.map(term => ({ query: term.normalized, searches: term.searches }));
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  POPULAR_MIN_SEARCHES,
+  logSearch,
+  popularQueries,
+};
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Signing secrets come from the environment. Production refuses to start
+// without them; elsewhere a random one per process stands in, so a missing
+// variable never turns into a key anyone can read in the source. Tokens
+// signed with it don't survive a restart.
+function envSecret(...names) {
+  const name = names.find(n => process.env[n]);
+  if (name) {
+    return process.env[name];
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${names[0]} must be set in production`);
+  }
+  return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = {
+  envSecret,
+};
@@ -0,0 +1,195 @@
+const { once } = require('events');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const { ServiceError } = require('./errors');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+function detectFormat(file) {
+  const name = (file.originalname || '').toLowerCase();
+  if (name.endsWith('.xlsx') || file.mimetype === CONTENT_TYPES.xlsx) return 'xlsx';
+  if (name.endsWith('.csv') || (file.mimetype || '').startsWith('text/')) return 'csv';
+  throw new ServiceError('Unsupported file type, upload .csv or .xlsx', 400);
+}
+
+// Excel saves CSV with ";" in Russian locales
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  return (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+}
+
+function cellValue(cell) {
+  const { value } = cell;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+    return cell.text;
+  }
+  return String(value);
+}
+
+// Reads the first sheet of an uploaded CSV/XLSX file into
+// [{ rowNumber, values: { header: value } }]. Values are trimmed strings.
+async function parseSpreadsheet(file) {
+  const format = detectFormat(file);
+
+  if (format === 'csv') {
+    const text = file.buffer.toString('utf8');
+    let records;
+    try {
+      records = parse(text, {
+        bom: true,
+        columns: header => header.map(name => name.trim()),
+        delimiter: detectDelimiter(text.replace(/^\uFEFF/, '')),
+        skip_empty_lines: true,
+        trim: true,
+        relax_column_count: true,
+      });
+    } catch (err) {
+      throw new ServiceError(`Cannot read CSV: ${err.message}`, 400);
+    }
+    // Header is line 1
+    return records.map((values, index) => ({ rowNumber: index + 2, values }));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(file.buffer);
+  } catch (err) {
+    throw new ServiceError('Cannot read XLSX file', 400);
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cellValue(cell).trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    row.eachCell((cell, column) => {
+      if (headers[column]) values[headers[column]] = cellValue(cell).trim();
+    });
+    if (Object.keys(values).length > 0) rows.push({ rowNumber, values });
+  });
+  return rows;
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// Makes customer-entered text safe to open in Excel by quoting a leading
+// formula character
+function safeText(value) {
+  if (typeof value !== 'string' || !FORMULA_PREFIXES.includes(value[0])) return value;
+  return `'${value}`;
+}
+
+// Streams rows into the HTTP response as CSV or XLSX.
+// `columns` are [{ key, header }]; write() waits when the client reads slowly
+// and fails once the client has disconnected, which stops the caller's loop.
+function createSheetWriter(res, { format, filename, sheetName = 'Sheet1', columns }) {
+  if (!FORMATS.includes(format)) {
+    throw new ServiceError('Unsupported format, use csv or xlsx', 400);
+  }
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  // 'drain' never comes on a closed socket, so every wait also ends here
+  let closedError = null;
+  const closed = new Promise((resolve, reject) => {
+    const fail = err => {
+      closedError = closedError || err || new Error('Client closed the connection');
+      reject(closedError);
+    };
+    res.once('error', fail);
+    res.once('close', () => {
+      if (!res.writableFinished) fail();
+    });
+  });
+  closed.catch(() => {});
+
+  function wait(promise) {
+    if (closedError) return Promise.reject(closedError);
+    return Promise.race([promise, closed]);
+  }
+
+  if (format === 'csv') {
+    const stringifier = stringify({ header: true, bom: true, columns });
+    stringifier.pipe(res);
+    return {
+      async write(row) {
+        if (closedError) throw closedError;
+        if (!stringifier.write(row)) await wait(once(stringifier, 'drain'));
+      },
+      async end() {
+        stringifier.end();
+        await wait(once(res, 'finish'));
+      },
+    };
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({
+    key: column.key,
+    header: column.header,
+    width: Math.max(12, column.header.length + 2),
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  return {
+    async write(row) {
+      if (closedError) throw closedError;
+      sheet.addRow(row).commit();
+      // ExcelJS zips in the background and ignores backpressure: give it a
+      // turn to pass the row on, then wait on the response itself
+      await wait(new Promise(resolve => setImmediate(resolve)));
+      if (res.writableNeedDrain) await wait(once(res, 'drain'));
+    },
+    async end() {
+      sheet.commit();
+      await wait(workbook.commit());
+    },
+  };
+}
+
+// Walks a table in id order, `batchSize` rows per query, so exports
+// don't hold the whole table in memory
+async function* findInBatches(findMany, args = {}, batchSize = 500) {
+  let cursor = null;
+  for (;;) {
+    const rows = await findMany({
+      ...args,
+      take: batchSize,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      orderBy: { id: 'asc' },
+    });
+    if (rows.length === 0) return;
+
+    yield rows;
+    if (rows.length < batchSize) return;
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+module.exports = {
+  FORMATS,
+  parseSpreadsheet,
+  safeText,
+  createSheetWriter,
+  findInBatches,
+};
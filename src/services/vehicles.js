@@ -0,0 +1,235 @@
+const prisma = require('../db');
+const { ServiceError } = require('./errors');
+const { vehicleSchema } = require('../middleware/validation');
+const {
+  normalizeViscosity,
+  splitClasses,
+  normalizeApproval,
+  splitApprovals,
+  meetsApi,
+  meetsAcea,
+} = require('./oilSpecs');
+
+const MAX_IMPORT_ROWS = 10000;
+
+// Product applications suitable for each fuel type. Products without an
+// application aren't excluded.
+const APPLICATIONS_BY_FUEL = {
+  petrol: ['petrol', 'universal'],
+  diesel: ['diesel', 'universal', 'commercial'],
+  hybrid: ['petrol', 'universal'],
+  gas: ['petrol', 'universal'],
+};
+
+const LIST_FIELDS = ['viscosities', 'apiClasses', 'aceaClasses', 'approvals'];
+
+// Column names in catalogue files, besides the field names themselves
+const COLUMN_ALIASES = {
+  'марка': 'make',
+  'модель': 'model',
+  'поколение': 'generation',
+  'двигатель': 'engine',
+  'топливо': 'fuelType',
+  'год с': 'yearFrom',
+  'год по': 'yearTo',
+  'вязкость': 'viscosities',
+  'sae': 'viscosities',
+  'api': 'apiClasses',
+  'acea': 'aceaClasses',
+  'допуски': 'approvals',
+  'объем масла, л': 'oilCapacity',
+  'объём масла, л': 'oilCapacity',
+};
+
+const FIELDS = [
+  'make',
+  'model',
+  'generation',
+  'engine',
+  'fuelType',
+  'yearFrom',
+  'yearTo',
+  'oilCapacity',
+  ...LIST_FIELDS,
+];
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+// Stores requirements in the form products are compared in
+function normalizeVehicle(vehicle) {
+  return {
+    ...vehicle,
+    viscosities: unique(vehicle.viscosities.map(normalizeViscosity).filter(Boolean)),
+    apiClasses: unique(vehicle.apiClasses.flatMap(splitClasses)),
+    // Combined classes ("A3/B4") stay as one requirement
+    aceaClasses: unique(vehicle.aceaClasses.map(cls => splitClasses(cls).join('/')).filter(Boolean)),
+    approvals: unique(vehicle.approvals.map(approval => approval.trim()).filter(Boolean)),
+  };
+}
+
+function fieldFor(header) {
+  if (FIELDS.includes(header)) return header;
+  return COLUMN_ALIASES[header.trim().toLowerCase()] || null;
+}
+
+// List cells hold several values separated by "," ";" or "|".
+// Viscosities may also be separated by "/".
+function rowToVehicle(values) {
+  const vehicle = {};
+  for (const [header, raw] of Object.entries(values)) {
+    const field = fieldFor(header);
+    if (!field || raw === '' || raw === undefined) continue;
+
+    if (LIST_FIELDS.includes(field)) {
+      const separator = field === 'viscosities' ? /[,;|/]/ : /[,;|]/;
+      vehicle[field] = raw.split(separator).map(value => value.trim()).filter(Boolean);
+    } else if (field === 'oilCapacity') {
+      vehicle[field] = raw.replace(',', '.');
+    } else {
+      vehicle[field] = raw;
+    }
+  }
+  return vehicle;
+}
+
+function vehicleKey(vehicle) {
+  return {
+    make_model_generation_engine: {
+      make: vehicle.make,
+      model: vehicle.model,
+      generation: vehicle.generation,
+      engine: vehicle.engine,
+    },
+  };
+}
+
+// Validates every row and, unless it's a dry run, creates or updates the
+// vehicles by make + model + generation + engine. Nothing is written if
+// any row is invalid.
+async function importVehicles(rows, { dryRun = false } = {}) {
+  if (rows.length === 0) {
+    throw new ServiceError('File has no vehicle rows', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ServiceError(`File has more than ${MAX_IMPORT_ROWS} rows`, 400);
+  }
+
+  const errors = [];
+  const valid = [];
+  const rowByKey = new Map();
+
+  for (const row of rows) {
+    const { error, value } = vehicleSchema.validate(rowToVehicle(row.values), { abortEarly: false });
+    if (error) {
+      errors.push({ row: row.rowNumber, errors: error.details.map(detail => detail.message) });
+      continue;
+    }
+
+    const vehicle = normalizeVehicle(value);
+    const key = JSON.stringify(vehicleKey(vehicle));
+    if (rowByKey.has(key)) {
+      errors.push({ row: row.rowNumber, errors: [`Duplicate vehicle, already in row ${rowByKey.get(key)}`] });
+      continue;
+    }
+    rowByKey.set(key, row.rowNumber);
+    valid.push(vehicle);
+  }
+
+  const existing = await prisma.vehicle.findMany({
+    where: { make: { in: unique(valid.map(vehicle => vehicle.make)) } },
+    select: {
+      make: true,
+      model: true,
+      generation: true,
+      engine: true,
+    },
+  });
+  const existingKeys = new Set(existing.map(vehicle => JSON.stringify(vehicleKey(vehicle))));
+  const toUpdate = valid.filter(vehicle => existingKeys.has(JSON.stringify(vehicleKey(vehicle)))).length;
+
+  const report = {
+    dryRun,
+    imported: false,
+    total: rows.length,
+    valid: valid.length,
+    toCreate: valid.length - toUpdate,
+    toUpdate,
+    errors,
+  };
+  if (dryRun || errors.length > 0) {
+    return report;
+  }
+
+  await prisma.$transaction(async (tx) => {
+    for (const vehicle of valid) {
+      await tx.vehicle.upsert({
+        where: vehicleKey(vehicle),
+        create: vehicle,
+        update: vehicle,
+      });
+    }
+  }, { timeout: 120000 });
+
+  return { ...report, imported: true };
+}
+
+// Specs of a product as listed in its characteristics; the viscosity
+// column is used when there is no "sae"
+function productSpecs(product) {
+  const characteristics = product.characteristics || {};
+  return {
+    viscosity: normalizeViscosity(characteristics.sae || product.viscosity),
+    api: splitClasses(characteristics.api),
+    acea: splitClasses(characteristics.acea),
+    approvals: splitApprovals(characteristics.approvals).map(normalizeApproval),
+  };
+}
+
+// Which of the vehicle's requirements a product meets. An empty
+// requirement is met by any product.
+function checkRequirements(product, vehicle) {
+  const specs = productSpecs(product);
+  return {
+    viscosity: vehicle.viscosities.length === 0 || vehicle.viscosities.includes(specs.viscosity),
+    api: vehicle.apiClasses.length === 0 || vehicle.apiClasses.some(cls => meetsApi(specs.api, cls)),
+    acea: vehicle.aceaClasses.length === 0 || vehicle.aceaClasses.some(cls => meetsAcea(specs.acea, cls)),
+    approvals: vehicle.approvals.length === 0
+      || vehicle.approvals.some(approval => specs.approvals.includes(normalizeApproval(approval))),
+  };
+}
+
+// Products that meet every requirement of the vehicle. Viscosity and
+// application narrow the query; classes and approvals are compared here,
+// since they are free text inside characteristics.
+async function findCompatibleProducts(vehicle, { inStock = false } = {}) {
+  const where = { AND: [] };
+  if (inStock) where.stock = { gt: 0 };
+  if (vehicle.viscosities.length > 0) {
+    // "5W-40" may be stored as "5W40"
+    const spellings = vehicle.viscosities.flatMap(v => [v, v.replace('-', '')]);
+    where.AND.push({
+      OR: [
+        ...spellings.map(v => ({ viscosity: { equals: v, mode: 'insensitive' } })),
+        ...spellings.map(v => ({ characteristics: { path: ['sae'], equals: v } })),
+      ],
+    });
+  }
+  const applications = APPLICATIONS_BY_FUEL[vehicle.fuelType];
+  if (applications) {
+    where.AND.push({ OR: [{ application: { in: applications } }, { application: null }] });
+  }
+
+  const candidates = await prisma.product.findMany({ where });
+
+  return candidates
+    .filter(product => Object.values(checkRequirements(product, vehicle)).every(Boolean))
+    .sort((a, b) => (b.stock > 0) - (a.stock > 0) || a.price - b.price);
+}
+
+module.exports = {
+  normalizeVehicle,
+  importVehicles,
+  findCompatibleProducts,
+};
@@ -0,0 +1,71 @@
+const { skipWithoutDatabase, resetDatabase } = require('./helpers/db');
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+describe('cart', { skip: skipWithoutDatabase }, () => {
+  const prisma = require('../src/db');
+  const { MAX_ITEM_QUANTITY, addItem, setItemQuantity, checkoutCart } = require('../src/services/cart');
+  const owner = { sessionId: 'guest-session' };
+  let product;
+
+  beforeEach(async () => {
+    await resetDatabase(prisma);
+
+    product = await prisma.product.create({
+      data: { name: 'Synthetic 5W-30 4L', price: 3500, stock: 20 },
+    });
+    const warehouse = await prisma.warehouse.create({ data: { code: 'MAIN', name: 'Main', isDefault: true } });
+    await prisma.warehouseStock.create({
+      data: { warehouseId: warehouse.id, productId: product.id, quantity: 20 },
+    });
+  });
+
+  after(() => prisma.$disconnect());
+
+  const details = {
+    contactName: 'Ivan Petrov',
+    phone: '79000000000',
+    deliveryMethod: 'pickup',
+    paymentMethod: 'cash',
+  };
+
+  it('turns one cart into one order when checkout is submitted twice', async () => {
+    await addItem(owner, product.id, 2);
+
+    const results = await Promise.allSettled([
+      checkoutCart(owner, details),
+      checkoutCart(owner, details),
+    ]);
+
+    const placed = results.filter(result => result.status === 'fulfilled');
+    assert.equal(placed.length, 1);
+    const [refused] = results.filter(result => result.status === 'rejected');
+    assert.ok([400, 409].includes(refused.reason.status));
+
+    assert.equal(await prisma.order.count(), 1);
+    assert.equal(await prisma.cartItem.count(), 0);
+    const { stock } = await prisma.product.findUnique({ where: { id: product.id } });
+    assert.equal(stock, 18);
+  });
+
+  it('keeps the cart when the order fails', async () => {
+    await addItem(owner, product.id, 25);
+
+    await assert.rejects(checkoutCart(owner, details), { status: 409, message: 'Insufficient stock' });
+    assert.equal(await prisma.cartItem.count(), 1);
+  });
+
+  it('refuses a line with more than the limit, however it is added', async () => {
+    await addItem(owner, product.id, MAX_ITEM_QUANTITY - 1);
+    await addItem(owner, product.id, 1);
+
+    await assert.rejects(addItem(owner, product.id, 1), { status: 400 });
+    const [line] = await prisma.cartItem.findMany();
+    assert.equal(line.quantity, MAX_ITEM_QUANTITY);
+
+    await setItemQuantity(owner, product.id, 1);
+    await addItem(owner, product.id, 1);
+    const [updated] = await prisma.cartItem.findMany();
+    assert.equal(updated.quantity, 2);
+  });
+});
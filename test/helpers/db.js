@@ -0,0 +1,27 @@
+// Tests run against a real PostgreSQL database with the migrations applied:
+//   DATABASE_URL=$TEST_DATABASE_URL npx prisma migrate deploy
+// Every table is emptied before each test, so TEST_DATABASE_URL must never
+// point at data you want to keep. Require this file first, and load the app
+// inside the skippable describe() so nothing touches Prisma without a database.
+
+const { TEST_DATABASE_URL } = process.env;
+if (TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+}
+
+// Passed as the `skip` option of describe() when there is no test database
+const skipWithoutDatabase = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+async function resetDatabase(prisma) {
+  const tables = await prisma.$queryRaw`
+    SELECT tablename::text AS "tablename" FROM pg_tables
+    WHERE schemaname = current_schema() AND tablename <> '_prisma_migrations'
+  `;
+  const names = tables.map(({ tablename }) => `"${tablename}"`).join(', ');
+  await prisma.$executeRawUnsafe(`TRUNCATE ${names} RESTART IDENTITY CASCADE`);
+}
+
+module.exports = {
+  skipWithoutDatabase,
+  resetDatabase,
+};
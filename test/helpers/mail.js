@@ -0,0 +1,20 @@
+const nodemailer = require('nodemailer');
+const { setTransport } = require('../../src/services/mailer');
+
+// Swaps the mailer for a JSON transport and keeps every message it renders
+function captureMail() {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const sent = [];
+  const sendMail = transport.sendMail.bind(transport);
+  transport.sendMail = async (message) => {
+    const info = await sendMail(message);
+    sent.push(JSON.parse(info.message));
+    return info;
+  };
+  setTransport(transport);
+  return sent;
+}
+
+module.exports = {
+  captureMail,
+};
@@ -0,0 +1,76 @@
+const { skipWithoutDatabase, resetDatabase } = require('./helpers/db');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ORDERS = 10;
+const STOCK = 7;
+
+describe('parallel checkout', { skip: skipWithoutDatabase }, () => {
+  const prisma = require('../src/db');
+  const { createOrder } = require('../src/services/orders');
+  let product;
+  let warehouses;
+
+  before(async () => {
+    await resetDatabase(prisma);
+    product = await prisma.product.create({
+      data: { name: 'Synthetic 5W-30 4L', price: 3500, stock: STOCK },
+    });
+    // Split so some orders have to move on to the second warehouse
+    warehouses = await Promise.all([
+      prisma.warehouse.create({ data: { code: 'MAIN', name: 'Main', isDefault: true } }),
+      prisma.warehouse.create({ data: { code: 'NORTH', name: 'North' } }),
+    ]);
+    await prisma.warehouseStock.createMany({
+      data: [
+        { warehouseId: warehouses[0].id, productId: product.id, quantity: 4 },
+        { warehouseId: warehouses[1].id, productId: product.id, quantity: STOCK - 4 },
+      ],
+    });
+  });
+
+  after(() => prisma.$disconnect());
+
+  function placeOrder(i) {
+    return createOrder({
+      items: [{ productId: product.id, quantity: 1 }],
+      contactName: `Customer ${i}`,
+      phone: `7900000000${i}`,
+      deliveryMethod: 'pickup',
+      paymentMethod: 'cash',
+    });
+  }
+
+  it('sells exactly the stock on hand and refuses the rest', async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: ORDERS }, (_, i) => placeOrder(i)),
+    );
+
+    const placed = results.filter(result => result.status === 'fulfilled');
+    const refused = results.filter(result => result.status === 'rejected').map(result => result.reason);
+    assert.equal(placed.length, STOCK);
+    assert.equal(refused.length, ORDERS - STOCK);
+
+    for (const err of refused) {
+      assert.equal(err.status, 409);
+      assert.equal(err.message, 'Insufficient stock');
+      assert.deepEqual(err.details.items, [{
+        productId: product.id,
+        requested: 1,
+        available: 0,
+        name: product.name,
+      }]);
+    }
+
+    const levels = await prisma.warehouseStock.findMany({ where: { productId: product.id } });
+    assert.ok(levels.every(level => level.quantity === 0));
+    const { stock } = await prisma.product.findUnique({ where: { id: product.id } });
+    assert.equal(stock, 0);
+
+    // Refused orders leave nothing behind
+    assert.equal(await prisma.order.count(), STOCK);
+    const sales = await prisma.stockMovement.findMany({ where: { productId: product.id, type: 'sale' } });
+    assert.equal(sales.length, STOCK);
+    assert.ok(sales.every(sale => sale.quantity === -1 && sale.balanceAfter >= 0));
+  });
+});
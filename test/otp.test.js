@@ -0,0 +1,108 @@
+const { skipWithoutDatabase, resetDatabase } = require('./helpers/db');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { captureMail } = require('./helpers/mail');
+
+const EMAIL = 'driver@example.com';
+
+describe('one-time login codes', { skip: skipWithoutDatabase }, () => {
+  const prisma = require('../src/db');
+  const { requestLoginCode, verifyLoginCode } = require('../src/services/otp');
+  let sent;
+
+  before(() => {
+    sent = captureMail();
+  });
+
+  beforeEach(async () => {
+    await resetDatabase(prisma);
+    sent.length = 0;
+  });
+
+  after(() => prisma.$disconnect());
+
+  async function requestCode(email = EMAIL) {
+    await requestLoginCode(email);
+    return sent[sent.length - 1].text.match(/\d{6}/)[0];
+  }
+
+  function wrongCode(code) {
+    return code === '000000' ? '000001' : '000000';
+  }
+
+  it('emails a code that logs the user in', async () => {
+    const code = await requestCode('Driver@Example.com');
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to[0].address, EMAIL);
+    assert.match(sent[0].subject, new RegExp(code));
+
+    const { user, tokens } = await verifyLoginCode(EMAIL, code);
+    assert.equal(user.email, EMAIL);
+    assert.ok(tokens.accessToken);
+    assert.ok(tokens.refreshToken);
+  });
+
+  it('refuses a new code during the resend cooldown', async () => {
+    await requestCode();
+    await assert.rejects(requestLoginCode(EMAIL), { status: 429 });
+    assert.equal(sent.length, 1);
+  });
+
+  it('rejects a wrong code and counts the attempt', async () => {
+    const code = await requestCode();
+
+    await assert.rejects(verifyLoginCode(EMAIL, wrongCode(code)), (err) => {
+      assert.equal(err.status, 400);
+      assert.equal(err.message, 'Invalid code');
+      assert.equal(err.details.attemptsLeft, 4);
+      return true;
+    });
+    await verifyLoginCode(EMAIL, code);
+  });
+
+  it('rejects an expired code', async () => {
+    const code = await requestCode();
+    await prisma.loginCode.updateMany({ data: { expiresAt: new Date(Date.now() - 1000) } });
+
+    await assert.rejects(verifyLoginCode(EMAIL, code), {
+      status: 400,
+      message: 'Code expired or not found',
+    });
+  });
+
+  it('accepts a code only once', async () => {
+    const code = await requestCode();
+
+    const results = await Promise.allSettled([
+      verifyLoginCode(EMAIL, code),
+      verifyLoginCode(EMAIL, code),
+    ]);
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+
+    await assert.rejects(verifyLoginCode(EMAIL, code), { status: 400 });
+  });
+
+  it('allows no more than five guesses, even in parallel', async () => {
+    const code = await requestCode();
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 12 }, () => verifyLoginCode(EMAIL, wrongCode(code))),
+    );
+    const statuses = results.map(result => result.reason.status);
+    assert.equal(statuses.filter(status => status === 400).length, 5);
+    assert.equal(statuses.filter(status => status === 429).length, 7);
+
+    // The right code is locked out too
+    await assert.rejects(verifyLoginCode(EMAIL, code), { status: 429 });
+  });
+
+  it('signs in an account registered with a mixed-case email', async () => {
+    const existing = await prisma.user.create({ data: { email: 'Driver@Example.com', name: 'Ivan' } });
+    const code = await requestCode();
+
+    const { user } = await verifyLoginCode(EMAIL, code);
+    assert.equal(user.id, existing.id);
+    assert.equal(await prisma.user.count(), 1);
+  });
+});
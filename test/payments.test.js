@@ -0,0 +1,164 @@
+const { skipWithoutDatabase, resetDatabase } = require('./helpers/db');
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const SECRET = 'payments-test-secret';
+process.env.FAKE_PAYMENT_SECRET = SECRET;
+
+describe('card payments with the fake provider', { skip: skipWithoutDatabase }, () => {
+  const prisma = require('../src/db');
+  const fake = require('../src/services/payments/fake');
+  const { createPayment, handleWebhook, refundPayment } = require('../src/services/payments');
+  const { createOrder } = require('../src/services/orders');
+  const { createReturn } = require('../src/services/returns');
+  let product;
+
+  beforeEach(async () => {
+    await resetDatabase(prisma);
+
+    await prisma.deliveryZone.create({
+      data: { name: 'Moscow', cities: ['Москва'], fee: 300, estimatedDays: 1 },
+    });
+    product = await prisma.product.create({
+      data: { name: 'Synthetic 5W-30 4L', price: 1000, stock: 10, reorderThreshold: 0 },
+    });
+    const warehouse = await prisma.warehouse.create({ data: { code: 'MAIN', name: 'Main', isDefault: true } });
+    await prisma.warehouseStock.create({
+      data: { warehouseId: warehouse.id, productId: product.id, quantity: 10 },
+    });
+  });
+
+  after(() => prisma.$disconnect());
+
+  // 2 × 1000 plus 300 delivery
+  function placeCardOrder() {
+    return createOrder({
+      items: [{ productId: product.id, quantity: 2 }],
+      contactName: 'Ivan Petrov',
+      phone: '79000000000',
+      deliveryMethod: 'delivery',
+      deliveryAddress: { city: 'Москва', street: 'Tverskaya', house: '1' },
+      paymentMethod: 'card',
+    });
+  }
+
+  function signed(body) {
+    const rawBody = Buffer.from(body);
+    const signature = crypto.createHmac('sha256', SECRET).update(rawBody).digest('hex');
+    return { rawBody, headers: { 'x-fake-signature': signature } };
+  }
+
+  function findOrder(id) {
+    return prisma.order.findUnique({ where: { id }, include: { statusHistory: true } });
+  }
+
+  async function paidOrder() {
+    const order = await placeCardOrder();
+    const payment = await createPayment(order.id);
+    await handleWebhook('fake', fake.buildWebhook(payment.providerPaymentId, 'succeeded'));
+    return order;
+  }
+
+  it('rejects webhooks with a missing or wrong signature', async () => {
+    const order = await placeCardOrder();
+    const payment = await createPayment(order.id);
+    const { rawBody, headers } = fake.buildWebhook(payment.providerPaymentId, 'succeeded');
+
+    await assert.rejects(handleWebhook('fake', { rawBody, headers: {} }), { status: 401 });
+
+    const forged = Buffer.from(rawBody.toString().replace('succeeded', 'failed'));
+    await assert.rejects(handleWebhook('fake', { rawBody: forged, headers }), { status: 401 });
+
+    await assert.rejects(handleWebhook('fake', signed('{not json')), { status: 400 });
+
+    const { status } = await prisma.payment.findUnique({ where: { id: payment.id } });
+    assert.equal(status, 'pending');
+  });
+
+  it('moves a card order to processing only once the payment succeeds', async () => {
+    const order = await placeCardOrder();
+    assert.equal(order.status, 'new');
+    assert.equal(order.paymentStatus, 'pending');
+
+    const first = await createPayment(order.id);
+    assert.equal(first.amount, 2300);
+    await handleWebhook('fake', fake.buildWebhook(first.providerPaymentId, 'failed'));
+
+    let current = await findOrder(order.id);
+    assert.equal(current.status, 'new');
+    assert.equal(current.paymentStatus, 'failed');
+
+    const retry = await createPayment(order.id);
+    assert.notEqual(retry.id, first.id);
+    await handleWebhook('fake', fake.buildWebhook(retry.providerPaymentId, 'succeeded'));
+
+    current = await findOrder(order.id);
+    assert.equal(current.status, 'processing');
+    assert.equal(current.paymentStatus, 'paid');
+    assert.ok(current.paidAt);
+  });
+
+  it('ignores duplicate and late webhooks', async () => {
+    const order = await placeCardOrder();
+    const payment = await createPayment(order.id);
+    const succeeded = fake.buildWebhook(payment.providerPaymentId, 'succeeded');
+
+    await handleWebhook('fake', succeeded);
+    await handleWebhook('fake', succeeded);
+    await handleWebhook('fake', fake.buildWebhook(payment.providerPaymentId, 'failed'));
+
+    const current = await findOrder(order.id);
+    assert.equal(current.status, 'processing');
+    assert.equal(current.paymentStatus, 'paid');
+    assert.equal(current.statusHistory.filter(entry => entry.toStatus === 'processing').length, 1);
+
+    const { status } = await prisma.payment.findUnique({ where: { id: payment.id } });
+    assert.equal(status, 'succeeded');
+  });
+
+  it('refunds part of the payment, then the rest', async () => {
+    const order = await paidOrder();
+
+    const partial = await refundPayment(order.id, { amount: 1000 });
+    assert.equal(partial.status, 'succeeded');
+    let current = await findOrder(order.id);
+    assert.equal(current.paymentStatus, 'partially_refunded');
+    assert.equal(current.refundedAmount, 1000);
+
+    const rest = await refundPayment(order.id, {});
+    assert.equal(rest.amount, 1300);
+    current = await findOrder(order.id);
+    assert.equal(current.paymentStatus, 'refunded');
+    assert.equal(current.refundedAmount, 2300);
+
+    await assert.rejects(refundPayment(order.id, { amount: 1 }), {
+      status: 400,
+      details: { refundable: 0 },
+    });
+  });
+
+  it('counts refunds recorded by returns against the payment', async () => {
+    const order = await paidOrder();
+    await prisma.order.update({ where: { id: order.id }, data: { status: 'shipped' } });
+
+    await createReturn(order.id, {
+      items: [{ orderItemId: order.items[0].id, quantity: 1 }],
+      adminId: null,
+    });
+
+    await assert.rejects(refundPayment(order.id, { amount: 2300 }), {
+      status: 400,
+      details: { refundable: 1300 },
+    });
+    const refund = await refundPayment(order.id, {});
+    assert.equal(refund.amount, 1300);
+
+    const current = await findOrder(order.id);
+    assert.equal(current.refundedAmount, 2300);
+    await assert.rejects(createReturn(order.id, {
+      items: [{ orderItemId: order.items[0].id, quantity: 1 }],
+      adminId: null,
+    }), { status: 400 });
+  });
+});
@@ -0,0 +1,176 @@
+const { skipWithoutDatabase, resetDatabase } = require('./helpers/db');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The search box asks on every keystroke, so suggestions must come back
+// well under 100 ms on a large catalogue. A misspelt word is matched by
+// trigram similarity against every similar name, which takes longer.
+const CATALOGUE_SIZE = 20000;
+const SUGGEST_BUDGET_MS = 100;
+const TYPO_BUDGET_MS = 250;
+
+describe('product search', { skip: skipWithoutDatabase }, () => {
+  const prisma = require('../src/db');
+  const { parseProductFilters, searchProducts, suggestProducts } = require('../src/services/productSearch');
+  const { parseSearchQuery } = require('../src/services/searchQuery');
+
+  before(async () => {
+    await resetDatabase(prisma);
+    await prisma.product.createMany({
+      data: [
+        { name: 'Shell Helix Ultra 5W-40 4L', brand: 'Shell', viscosity: '5W-40', type: 'synthetic', price: 3900, stock: 5 },
+        { name: 'Shell Helix HX7 10W-40 4L', brand: 'Shell', viscosity: '10W-40', type: 'semi', price: 2600, stock: 0 },
+        { name: 'Castrol Edge 0W-20 1L', brand: 'Castrol', viscosity: '0W-20', type: 'synthetic', price: 1200, stock: 8 },
+        { name: 'Масло моторное Лукойл Люкс 10W-40', brand: 'Лукойл', viscosity: '10W-40', type: 'semi', price: 1500, stock: 3 },
+      ],
+    });
+  });
+
+  after(() => prisma.$disconnect());
+
+  function suggest(q, limit = 5) {
+    return suggestProducts(parseSearchQuery(q), limit);
+  }
+
+  it('finds a brand typed in Cyrillic', async () => {
+    const { brands, products } = await suggest('шелл');
+    assert.deepEqual(brands, [{ value: 'Shell', count: 2 }]);
+    // In stock first
+    assert.deepEqual(products.map(product => product.name), [
+      'Shell Helix Ultra 5W-40 4L',
+      'Shell Helix HX7 10W-40 4L',
+    ]);
+  });
+
+  it('matches viscosity however it is written', async () => {
+    for (const q of ['5w-40', '5W40', '5w 40']) {
+      const { viscosities, products } = await suggest(q);
+      assert.deepEqual(viscosities, [{ value: '5W-40', count: 1 }], q);
+      assert.deepEqual(products.map(product => product.brand), ['Shell'], q);
+    }
+  });
+
+  it('tolerates typos and word forms', async () => {
+    for (const q of ['kastrol', 'castrl']) {
+      const { products } = await suggest(q);
+      assert.deepEqual(products.map(product => product.brand), ['Castrol'], q);
+    }
+
+    const { products: russian } = await suggest('масла лукойл');
+    assert.deepEqual(russian.map(product => product.brand), ['Лукойл']);
+  });
+
+  it('needs every word to match', async () => {
+    const { products } = await suggest('shell 0w-20');
+    assert.deepEqual(products, []);
+
+    const filters = parseProductFilters({ q: 'helix 10w-40' }, []);
+    const { products: found, total } = await searchProducts(filters, { sortBy: 'relevance' });
+    assert.equal(total, 1);
+    assert.equal(found[0].name, 'Shell Helix HX7 10W-40 4L');
+  });
+});
+
+describe('popular queries', { skip: skipWithoutDatabase }, () => {
+  const prisma = require('../src/db');
+  const { POPULAR_MIN_SEARCHES, logSearch, popularQueries } = require('../src/services/searchTerms');
+  const { parseSearchQuery } = require('../src/services/searchQuery');
+
+  beforeEach(() => resetDatabase(prisma));
+
+  after(() => prisma.$disconnect());
+
+  async function searchTimes(query, times, results = 3) {
+    for (let i = 0; i < times; i++) await logSearch(query, parseSearchQuery(query), results);
+  }
+
+  it('suggests the normalized text of queries searched often enough', async () => {
+    await searchTimes('Shell  HELIX 5W-40', POPULAR_MIN_SEARCHES);
+    await searchTimes('shell <b>spam</b>', POPULAR_MIN_SEARCHES - 1);
+    await searchTimes('shell nothing', POPULAR_MIN_SEARCHES, 0);
+
+    assert.deepEqual(await popularQueries(parseSearchQuery('шелл'), 5), [
+      { query: 'shell helix 5w40', searches: POPULAR_MIN_SEARCHES },
+    ]);
+  });
+
+  it('logs a visitor repeating a search once', async () => {
+    const http = require('http');
+    const express = require('express');
+    const app = express();
+    app.set('trust proxy', 'loopback');
+    app.use('/api/products', require('../src/routes/products'));
+    const server = http.createServer(app).listen(0);
+    const url = `http://127.0.0.1:${server.address().port}/api/products`;
+
+    try {
+      const from = ip => ({ headers: { 'X-Forwarded-For': ip } });
+      for (let i = 0; i < 3; i++) await fetch(`${url}?q=castrol`, from('203.0.113.1'));
+      await fetch(`${url}?q=castrol&page=2`, from('203.0.113.1'));
+      await fetch(`${url}?q=castrol`, from('203.0.113.2'));
+
+      // Logging doesn't hold up the response
+      let term;
+      for (let i = 0; i < 50 && !(term && term.searches === 2); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        term = await prisma.searchTerm.findUnique({ where: { normalized: 'castrol' } });
+      }
+      assert.equal(term.searches, 2);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('suggestion speed', { skip: skipWithoutDatabase }, () => {
+  const prisma = require('../src/db');
+  const { suggestProducts } = require('../src/services/productSearch');
+  const { parseSearchQuery } = require('../src/services/searchQuery');
+
+  before(async () => {
+    await resetDatabase(prisma);
+    await prisma.$executeRaw`
+      INSERT INTO "Product" ("name", "brand", "viscosity", "type", "description", "price", "stock", "updatedAt")
+      SELECT b.brand || ' ' || (ARRAY['Helix', 'Edge', 'Magnatec', 'Super', 'Ultra', 'Genesis'])[1 + i % 6]
+               || ' ' || v.viscosity || ' ' || (ARRAY['1L', '4L', '5L', '20L'])[1 + i % 4] || ' #' || i,
+             b.brand, v.viscosity, (ARRAY['synthetic', 'semi', 'mineral'])[1 + i % 3],
+             'Моторное масло для бензиновых и дизельных двигателей', 500 + i % 5000, i % 7, now()
+      FROM generate_series(1, ${CATALOGUE_SIZE}) AS i
+      CROSS JOIN LATERAL (SELECT (ARRAY['Shell', 'Castrol', 'Mobil', 'Лукойл', 'Total', 'Motul', 'Liqui Moly', 'ZIC'])[1 + i % 8] AS brand) b
+      CROSS JOIN LATERAL (SELECT (ARRAY['0W-20', '5W-30', '5W-40', '10W-40', '15W-40'])[1 + i % 5] AS viscosity) v
+    `;
+    await prisma.$executeRaw`ANALYZE "Product"`;
+  });
+
+  after(() => prisma.$disconnect());
+
+  // Median of five runs per query, after one to warm up
+  async function medianTimes(queries) {
+    for (const q of queries) await suggestProducts(parseSearchQuery(q), 5);
+
+    const timings = [];
+    for (const q of queries) {
+      const runs = [];
+      for (let i = 0; i < 5; i++) {
+        const started = process.hrtime.bigint();
+        await suggestProducts(parseSearchQuery(q), 5);
+        runs.push(Number(process.hrtime.bigint() - started) / 1e6);
+      }
+      runs.sort((a, b) => a - b);
+      timings.push({ q, median: Math.round(runs[2]) });
+    }
+    return timings;
+  }
+
+  it(`answers within ${SUGGEST_BUDGET_MS} ms on ${CATALOGUE_SIZE} products`, async () => {
+    const timings = await medianTimes(['sh', 'шелл', 'castrol edge', '5w-40', 'mobil ultra 10w', 'масло лукойл']);
+    const slow = timings.filter(timing => timing.median >= SUGGEST_BUDGET_MS);
+    assert.deepEqual(slow, [], JSON.stringify(timings));
+  });
+
+  it(`answers a misspelt query within ${TYPO_BUDGET_MS} ms`, async () => {
+    const timings = await medianTimes(['kastrol', 'castrl']);
+    const slow = timings.filter(timing => timing.median >= TYPO_BUDGET_MS);
+    assert.deepEqual(slow, [], JSON.stringify(timings));
+  });
+});
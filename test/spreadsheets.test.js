@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { safeText, createSheetWriter } = require('../src/services/spreadsheets');
+
+// A response whose client stopped reading: nothing written ever completes
+function stalledResponse() {
+  const res = new Writable({ highWaterMark: 1024, write() {} });
+  res.setHeader = () => {};
+  return res;
+}
+
+describe('createSheetWriter', () => {
+  for (const format of ['csv', 'xlsx']) {
+    it(`stops a ${format} export when the client disconnects`, async () => {
+      const res = stalledResponse();
+      const writer = createSheetWriter(res, {
+        format,
+        filename: 'test',
+        columns: [{ key: 'text', header: 'text' }],
+      });
+
+      const exporting = (async () => {
+        for (let i = 0; i < 100000; i++) await writer.write({ text: `row ${i} `.repeat(20) });
+      })();
+      setImmediate(() => res.destroy());
+
+      await assert.rejects(exporting, /Client closed the connection/);
+      await assert.rejects(writer.write({ text: 'late' }), /Client closed the connection/);
+    });
+  }
+});
+
+describe('safeText', () => {
+  it('quotes text that a spreadsheet would run as a formula', () => {
+    assert.equal(safeText('=HYPERLINK("http://evil")'), '\'=HYPERLINK("http://evil")');
+    assert.equal(safeText('+7 900'), '\'+7 900');
+    assert.equal(safeText('-1+2'), '\'-1+2');
+    assert.equal(safeText('@SUM(A1)'), '\'@SUM(A1)');
+  });
+
+  it('leaves other values alone', () => {
+    assert.equal(safeText('Ivan Petrov'), 'Ivan Petrov');
+    assert.equal(safeText(''), '');
+    assert.equal(safeText(null), null);
+  });
+});